@@ -8,7 +8,8 @@
  * DOM using <code>document.write()</code>.
  * These are handled properly (yes even if the script loading was defered)
  * and You might even modify the writen HTML content before it gets into
- * Your page.
+ * Your page. Written <script>s get run (in document order) with their own
+ * writes captured as well - the content is inserted after all of them ran.
  *
  * @param opts the (script) options or a string in which case it behaves
  * like if <code>{ src: string }</code> was specified as the argument
@@ -16,18 +17,110 @@
  * Supported options :
  *
  * - src: the script source - absolute HTTP URL or relative to 'base',
- *   this is the only required property
+ *   this is the only required property, might be an array of candidates
+ *   (e.g. a CDN and a self-hosted mirror) to try one after another when
+ *   a defered script fails loading
+ *
+ * - code: an inline snippet (e.g. an ad's bootstrap code) to run instead of
+ *   loading a `src`, it's queued (and its writes are captured) the same way
+ *   as a defered script, implies `defer: true`
+ *
+ * - via: set to 'fetch' to download the (same origin or CORS enabled) script
+ *   text with XHR and evaluate it tagged with a `//# sourceURL=` (errors get
+ *   the HTTP status), the download starts once queued (ahead of loading),
+ *   implies `defer: true` - can not be combined with `integrity`
+ *
+ * - timeout: milliseconds to wait for a defered script to load before it's
+ *   considered failed (by default there's no timeout)
+ *
+ * - retries: how many times to retry (each of the `src` candidates) after an
+ *   error or a timeout (defered scripts only), by default no retries happen
+ *
+ * - retryDelay: milliseconds to wait before the first retry (default 500),
+ *   the delay doubles with each further retry of a candidate while the next
+ *   candidate is tried right away (starting over with `retryDelay`)
+ *
+ * - sandbox: set to true to run the script isolated (its globals and CSS) in a
+ *   same origin <iframe> (placed where the script would be) that gets resized
+ *   to fit the written content, `src` candidates, `retries`, `code` and `via`
+ *   work the same (each attempt gets a new <iframe>), implies `defer: true`
+ *
+ * - force: set to true to load a (`writes: false`) script even if the same `src`
+ *   has already been loaded (or is loading), otherwise the call attaches to that
+ *   load - scripts that write (e.g. an embed placed twice) always load again
  *
  * - type: the script type, by default 'text/javascript'
  *
+ * - module: set to true to load an ES module (type="module"), modules do not
+ *   `document.write()` thus it implies `writes: false`
+ *
+ * - nomodule: a (classic) script src to load instead of the module in browsers
+ *   without ES module support
+ *
+ * - importMap: an import map ({ imports: {...}, scopes: {...} }) to inject as
+ *   a <script type="importmap"> before the first module, import maps of other
+ *   modules get merged into it (a map that comes after the first module has
+ *   been injected is ignored with a warning - there's only one import map)
+ *
  * - base: the URL base - allows relative paths with the 'src' property
  *
  * - defer: set to true to load scripts after DOM is ready otherwise their
  *   going to load while building the DOM (just like regular <script> tags)
  *
- * - order: the order of loading the scripts (makes sense only with defered
- *   loading scripts), e.g. adding a script with order 0 means that it will get
- *   to the 0-th (first) position in the list of scripts waiting to be loaded
+ * - priority: 'critical', 'normal' (the default) or 'idle' - defered scripts
+ *   with a higher priority get ahead of (not yet started) lower priority ones,
+ *   'idle' scripts start only after the window loaded once the browser is idle
+ *   (using requestIdleCallback where available)
+ *
+ * - order: @deprecated use `priority` instead - order 0 (the first position in
+ *   the queue) maps to 'critical', any other to 'normal'
+ *
+ * - queue: name of a (defered) queue to load the script in, e.g. 'ads' - each
+ *   queue is loaded (and ordered) independently, thus slow scripts in one queue
+ *   do not hold up the others (`requires` might point to another queue), scripts
+ *   without a name (or `queue: true`) go into the default queue
+ *
+ * - name: registers the script under the given name (to be `requires`-ed), a
+ *   name might only be registered again once its script failed (or got aborted)
+ *
+ * - requires: name (or an array of names) of scripts that need to load before
+ *   this one, the queue gets (re-)ordered so that required scripts load first,
+ *   a missing name or a `requires` cycle fails the script (the `error` callback
+ *   gets invoked and the handle rejects with a 'dependency' type), this only
+ *   makes sense for defered scripts - others load in the document order anyway
+ *
+ * - parallel: set to true for (defered) scripts with `writes: false` to get
+ *   downloaded in parallel (with `async = false`) while still being executed in
+ *   the queue order, a number sets the maximum of parallel downloads (default 4),
+ *   scripts with `retries`, `src` candidates, `code` or `via: 'fetch'` are not
+ *   downloaded in parallel
+ *
+ * - integrity: a Subresource Integrity hash (e.g. 'sha384-...') the script
+ *   has to match, implies `crossorigin: 'anonymous'` unless set otherwise
+ *
+ * - crossorigin: the CORS mode - 'anonymous' (or true) or 'use-credentials'
+ *
+ * - nonce: a Content Security Policy nonce for the <script>
+ *
+ * - referrerpolicy: the referrer policy used when fetching the script
+ *
+ * - attributes: an object with arbitrary attributes to set on the <script>,
+ *   the above (as well as `attributes`) apply to defered as well as written
+ *   <script> tags
+ *
+ * - lazy: set to true to queue the script only once its (defered) placeholder
+ *   or the `append` element (after the DOM loaded) gets near the viewport,
+ *   implies `defer: true`
+ *
+ * - rootMargin: how near (to the viewport) lazy scripts start loading, e.g.
+ *   '200px' (an IntersectionObserver rootMargin), by default '0px'
+ *
+ * - trigger: queue the script only on the first user interaction, an object
+ *   e.g. { event: 'click', target: '#show-map', replay: true } where the event
+ *   might be 'click' (default), 'mouseover' or 'focus', the target a selector
+ *   or an element (the placeholder or the `append` element by default) and
+ *   replay re-dispatches the event on the target once the script completed,
+ *   implies `defer: true`
  *
  * - loadingHTML: HTML to show in place of the script while not loaded
  *
@@ -35,10 +128,20 @@
  *   function's scope refers to the script element. If the loading happened on 
  *   or after the DOM ready event fired (with `defer: true`) and the loaded 
  *   javascript called `document.write()/writeln()` the argument to the callback
- *   is a string array consisting of all the `write(str)` invocation arguments.
+ *   is a string array consisting of all the `write(str)` invocation arguments
+ *   (multiple arguments passed to a single `write()` get joined).
  *   Returning false from this function disables further processing (in-case of
  *   a defered load it won't inject the writes into the DOM).
  *
+ * - error: callback that gets invoked after the script failed loading (all
+ *   of the `src` candidates failed), the settings argument's `attempts`
+ *   contains a `{ src: url, reason: 'error' | 'timeout' }` for each attempt
+ *
+ * - runtimeError: callback that gets invoked with an Error (of type 'runtime')
+ *   when an exception gets thrown (`window.onerror`) while the (defered) script
+ *   executes or shortly after it loaded, the script's settings get a `status`
+ *   of 'error' (the errors are collected as `runtimeErrors`)
+ *
  * - complete: callback that gets invoked after the script completed (this in 
  *   general happens after the `loaded` callback)
  *
@@ -47,15 +150,34 @@
  *   otherwise it should be a function that receives a script element and
  *   should inject the received node into the DOM
  *   
+ * - filters: a filter name (or function) or an array of filters to run over
+ *   the (parsed) content written by a defered script before it's inserted
+ *   (and before the written scripts run),
+ *   see `script.filter()` (e.g. 'strip-styles' or 'lazy-images')
+ *
  * - writes: setting to `false` marks the script as not doing `document.writes`
  *   (by default assumed to be `true` if not set or set to `null`)
  *
+ * @return a thenable handle that resolves (with the script settings) after the
+ * script completed and rejects on `error` or `timeout` (the rejection is an
+ * Error with a `type` property of 'error' or 'timeout'), the handle also
+ * exposes the script's `id`, the `element` and the captured `writes` (for a
+ * duplicate `writes: false` src the handle of the existing load is returned), e.g.
+ * <code>
+ *   var handle = script({ src: '319433.js', defer: true });
+ *   await handle; // handle.writes contains the document.write() strings
+ * </code>
+ *
  * NOTE: that the location of the script element is crucial if other elements
  * or HTML using document.write() is generated by the loading script - thus the
  * new content gets injected into the DOM after the script element !
  * 
  * NOTE: Due to possible `document.writes` in each loaded script - scripts are 
- * executed synchronously - a script loading blocks other scripts from loading !
+ * executed synchronously - a script loading blocks other scripts (in the same
+ * queue) from loading !
+ *
+ * Stylesheets might be loaded the same way using `script.css()`, there's also
+ * a `script.jsonp()` helper for JSONP requests.
  *
  * To setup default arguments for `script()` use `defaults` :
  * <code>
@@ -68,45 +190,462 @@
  * @version 0.7
  */
 var script = ( function() {
-    /** @const */
-    var LOG = false;
-    
     var NOOP = function() {}; // empty fn
-    var log = NOOP; // empty fn
-    if (LOG) {
-        var errorLogged;
-        log = function() {
-            if ( window.console ) {
-                try {
-                    console.log.apply( console, Array.prototype.slice.call( arguments ) );
+
+    var now = window.performance && performance.now ?
+        function() { return performance.now(); } : function() { return new Date().getTime(); };
+
+    var LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+    // log a (structured) record to the sinks if `script.debug` level allows :
+    function log(level, message, settings, data, event) {
+        var debug = script.debug === true ? 'debug' : script.debug;
+        if ( ! ( LEVELS[debug] >= LEVELS[level] ) ) return; // logging off
+        var record = { time: now(), level: level, message: message };
+        if ( event ) record.event = event;
+        if ( settings ) { record.id = settings.id; record.src = settings.src; }
+        if ( data !== undefined ) record.data = data;
+        var sinks = script.log.sinks;
+        for ( var i = 0; i < sinks.length; i++ ) {
+            try { sinks[i](record); }
+            catch (e) { /* a sink should not break loading */ }
+        }
+    }
+
+    var PENDING = 0, RESOLVED = 1, REJECTED = 2;
+    var later = function(fn) { setTimeout(fn, 0); };
+
+    /**
+     * A minimal (Promises/A+ alike) thenable, each `script()` call returns one
+     * thus loading might be chained or `await`-ed even without a native Promise.
+     * Rejections are only reported to those that asked using `then()/catch()`.
+     */
+    function Handle() {
+        this._state = PENDING; this._listeners = [];
+    }
+    Handle.prototype = {
+        then: function(onResolved, onRejected) {
+            var self = this, next = new Handle();
+            self._listen(function() {
+                var callback = self._state === RESOLVED ? onResolved : onRejected;
+                if ( typeof callback !== 'function' ) {
+                    next._settle(self._state, self._value); return;
                 }
-                catch (e) { // IE8 can't console.log.apply :
-                    errorLogged || console.log(e); errorLogged = true;
-                    console.log( Array.prototype.join.call( arguments ) );
+                try { next._resolve( callback(self._value) ); }
+                catch (e) { next._settle(REJECTED, e); }
+            });
+            return next;
+        },
+        'catch': function(onRejected) {
+            return this.then(null, onRejected);
+        },
+        _listen: function(fn) {
+            this._listeners ? this._listeners.push(fn) : later(fn);
+        },
+        _resolve: function(value) {
+            var self = this, then, called;
+            if ( value === self ) {
+                self._settle(REJECTED, new TypeError('script : cyclic resolve'));
+                return;
+            }
+            try { // adopt the state of a returned thenable :
+                then = value && ( typeof value === 'object' || typeof value === 'function' ) && value.then;
+                if ( typeof then !== 'function' ) { self._settle(RESOLVED, value); return; }
+                then.call(value,
+                    function(val) { called || ( called = true, self._resolve(val) ); },
+                    function(err) { called || ( called = true, self._settle(REJECTED, err) ); }
+                );
+            }
+            catch (e) { called || ( called = true, self._settle(REJECTED, e) ); }
+        },
+        _settle: function(state, value) {
+            if ( this._state !== PENDING ) return;
+            this._state = state; this._value = value;
+            var listeners = this._listeners; this._listeners = null;
+            later(function() {
+                for ( var i = 0; i < listeners.length; i++ ) listeners[i]();
+            });
+        }
+    };
+
+    var named = {}; // name -> settings of scripts registered with a `name`
+    var pending = {}; // id -> settings of scripts not yet loaded (or failed)
+    var allScripts = []; // settings of all the scripts (see `script.report()`)
+    var loads = {}; // (absolute) src -> settings of the script loading it
+
+    var listeners = {}; // event -> [ fn ] (see `script.on()`)
+    var filters = []; // names (or functions) of filters applied to all scripts
+
+    function emit(event, settings, data) {
+        var level = event === 'error' || event === 'runtimeError' ? 'error' : ( event === 'timeout' ? 'warn' : 'info' );
+        log(level, event, settings, data, event);
+        var fns = listeners[event];
+        if ( ! fns ) return;
+        fns = fns.slice(0); // might get removed while emitting
+        for ( var i = 0; i < fns.length; i++ ) {
+            try { fns[i].call(script, settings, data); }
+            catch (e) { // a listener should not break loading
+                log('error', 'emit() ' + event + ' listener failed', settings, e);
+                later(function() { throw e; });
+            }
+        }
+    }
+
+    // record a timing point (queued, appended, loaded, flushed, complete) :
+    function mark(settings, point) {
+        if ( settings && settings.timing ) settings.timing[point] = now();
+    }
+
+    // whether nothing is queued or loading - lazy (or trigger-ed) scripts do not
+    // count until released (they might never get near the viewport) :
+    function drained() {
+        for ( var id in pending ) {
+            if ( ! pending[id].release ) return false;
+        }
+        return true;
+    }
+
+    // mark the script as done and settle the handle returned from `script()` :
+    function settleLoaded(settings) {
+        if ( settings.state === 'failed' ) return; // e.g. stalled by the watchdog
+        settings.state = 'loaded'; settings.cancel = null;
+        delete pending[settings.id];
+        mark(settings, 'complete');
+        if ( settings.handle ) settings.handle._settle(RESOLVED, settings);
+        emit('complete', settings);
+        resumeWaiting(settings);
+        if ( drained() ) emit('drain');
+    }
+    function settleFailed(settings) {
+        if ( settings.state === 'failed' ) return; // settled already
+        settings.state = 'failed'; settings.cancel = null;
+        delete pending[settings.id];
+        mark(settings, 'complete');
+        var type = settings.aborted ? 'abort' : settings.stalled ? 'stalled' :
+            ( settings.dependencyError ? 'dependency' : ( settings.timedOut ? 'timeout' : 'error' ) );
+        var message = "script : " + type + " loading '" + settings.src + "'";
+        if ( settings.httpStatus ) message += ' (HTTP ' + settings.httpStatus + ')';
+        if ( settings.dependencyError ) message += ' (' + settings.dependencyError + ')';
+        var attempts = settings.attempts || [], tried = [];
+        if ( attempts.length > 1 ) {
+            for ( var i = 0; i < attempts.length; i++ ) {
+                tried.push( attempts[i].src + ' (' + attempts[i].reason + ')' );
+            }
+            message += ' tried: ' + tried.join(', ');
+        }
+        var error = new Error(message);
+        error.type = type; error.settings = settings; error.attempts = attempts;
+        if ( settings.httpStatus ) error.status = settings.httpStatus;
+        if ( loads[settings.loadSrc] === settings ) delete loads[settings.loadSrc]; // might load again
+        unwatchRuntime(settings);
+        if ( settings.handle ) settings.handle._settle(REJECTED, error);
+        emit('error', settings, error);
+        resumeWaiting(settings);
+        if ( drained() ) emit('drain');
+    }
+
+    function toSet(names) {
+        var set = {}; names = names.split(' ');
+        for ( var i = 0; i < names.length; i++ ) set[ names[i] ] = true;
+        return set;
+    }
+
+    var VOID_TAGS = toSet('area base br col embed hr img input keygen link meta param source track wbr');
+    var RAW_TAGS = toSet('script style textarea title xmp'); // content is not HTML
+    var FOREIGN_TAGS = toSet('svg math'); // SVG / MathML content (parsed as a whole)
+    var AUTO_CLOSED = { // tag -> open tags it implicitly closes
+        li: toSet('li'), p: toSet('p'), option: toSet('option'),
+        dt: toSet('dt dd'), dd: toSet('dt dd'),
+        tr: toSet('tr td th'), td: toSet('td th'), th: toSet('td th')
+    };
+    var P_CLOSING = toSet('address article aside blockquote div dl fieldset footer form ' +
+        'h1 h2 h3 h4 h5 h6 header hr menu nav ol pre section table ul');
+
+    var START_TAG = /^<([a-zA-Z][^\s\/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/;
+    var END_TAG = /^<\/([a-zA-Z][^\s\/>]*)[^>]*>/;
+    var ATTRIBUTE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+    var decoder; // decodes HTML entities (using an RCDATA element)
+    function decodeEntities(str) {
+        if ( str.indexOf('&') === -1 ) return str;
+        decoder = decoder || document.createElement('textarea');
+        decoder.innerHTML = str;
+        return decoder.value;
+    }
+
+    function parseFragment(html) {
+        var $div = document.createElement('div');
+        var $fragment = document.createDocumentFragment();
+        // IE hack for injecting script/style tags correctly :
+        $div.innerHTML = '<br/>' + html;
+        $div.removeChild( $div.childNodes[0] ); // remove the <br/> hack
+        while ( $div.firstChild ) $fragment.appendChild( $div.firstChild );
+        return $fragment;
+    }
+
+    /**
+     * An incremental HTML tokenizer for the `document.write()` output, chunks
+     * are accepted as they get written while tags (or entities) split between
+     * chunks are kept buffered until complete, the DOM is built as it goes.
+     * Raw text elements (<script>, <style>) are created using `innerHTML` thus
+     * are not evaluated once inserted (same as with regular `innerHTML`), so are
+     * the (namespaced) <svg> and <math> subtrees.
+     */
+    function HtmlParser() {
+        this.source = []; this.buffer = '';
+        this.root = document.createDocumentFragment();
+        this.stack = []; // open elements
+        this.raw = null; // { name: 'script', source: '<script ...>' }
+    }
+    HtmlParser.prototype = {
+        write: function(chunk) {
+            this.source.push(chunk);
+            this.buffer += chunk;
+            this._parse(false);
+        },
+        // @return the DOM fragment with all the written content
+        end: function() {
+            this._parse(true);
+            return this.root;
+        },
+        // whether the given writes differ from what has been written so far
+        changed: function(writes) {
+            var source = this.source;
+            if ( writes.length !== source.length ) return true;
+            for ( var i = 0; i < source.length; i++ ) {
+                if ( writes[i] !== source[i] ) return true;
+            }
+            return false;
+        },
+        _current: function() {
+            return this.stack[ this.stack.length - 1 ] || this.root;
+        },
+        _parse: function(flush) {
+            var buffer = this.buffer, pos = 0, next;
+            while ( pos < buffer.length ) {
+                if ( this.raw ) next = this._rawText(buffer, pos, flush);
+                else if ( buffer.charAt(pos) === '<' ) next = this._tag(buffer, pos, flush);
+                else {
+                    next = buffer.indexOf('<', pos);
+                    if ( next === -1 ) { // text might continue with the next chunk
+                        if ( ! flush ) break;
+                        next = buffer.length;
+                    }
+                    this._text( buffer.substring(pos, next) );
                 }
+                if ( next === -1 ) break; // incomplete - wait for more
+                pos = next;
             }
-            else if ( window.opera ) {
-                opera.postError( Array.prototype.join.call( arguments ) );
+            this.buffer = buffer.substring(pos);
+        },
+        _tag: function(buffer, pos, flush) {
+            var rest = buffer.substring(pos), match, end;
+            if ( rest.substring(0, 4) === '<!--' ) {
+                end = rest.indexOf('-->', 4);
+                if ( end === -1 ) {
+                    if ( ! flush ) return -1;
+                    end = rest.length;
+                }
+                this._current().appendChild( document.createComment( rest.substring(4, end) ) );
+                return Math.min( pos + end + 3, buffer.length );
             }
-            else {
-                // NOOP
+            if ( ( match = START_TAG.exec(rest) ) ) {
+                this._startTag( match[1].toLowerCase(), match[2], match[0] );
+                return pos + match[0].length;
+            }
+            if ( ( match = END_TAG.exec(rest) ) ) {
+                this._endTag( match[1].toLowerCase() );
+                return pos + match[0].length;
+            }
+            if ( /^<[!?\/]/.test(rest) && ( end = rest.indexOf('>') ) !== -1 ) {
+                return pos + end + 1; // <!DOCTYPE ...> or alike - ignored
+            }
+            // might be a tag that is not yet completely written :
+            if ( ! flush && /^<(?:[!?\/]|[!\/]?[a-zA-Z]|$)/.test(rest) ) return -1;
+            this._text('<'); // a plain '<' character
+            return pos + 1;
+        },
+        _startTag: function(name, attrs, source) {
+            if ( FOREIGN_TAGS[name] && /\/>$/.test(source) ) { // an empty <svg/>
+                this._current().appendChild( parseFragment(source) ); return;
+            }
+            if ( RAW_TAGS[name] || FOREIGN_TAGS[name] ) {
+                this.raw = { name: name, source: source }; return;
+            }
+            var top = this.stack[ this.stack.length - 1 ];
+            var closes = AUTO_CLOSED[name] || ( P_CLOSING[name] && AUTO_CLOSED.p );
+            while ( closes && top && closes[ top.nodeName.toLowerCase() ] ) {
+                this.stack.pop(); top = this.stack[ this.stack.length - 1 ];
+            }
+            var $elem = document.createElement(name), match;
+            ATTRIBUTE.lastIndex = 0;
+            while ( ( match = ATTRIBUTE.exec(attrs) ) ) {
+                var value = match[2] != null ? match[2] : ( match[3] != null ? match[3] : match[4] || '' );
+                setAttribute( $elem, match[1].toLowerCase(), decodeEntities(value) );
+            }
+            this._current().appendChild($elem);
+            if ( ! VOID_TAGS[name] ) this.stack.push($elem);
+        },
+        _endTag: function(name) {
+            for ( var i = this.stack.length - 1; i >= 0; i-- ) {
+                if ( this.stack[i].nodeName.toLowerCase() === name ) {
+                    this.stack.length = i; return;
+                }
+            }
+            // unmatched end tags are ignored
+        },
+        _rawText: function(buffer, pos, flush) {
+            var name = this.raw.name;
+            var close = this._closeTag(buffer.toLowerCase(), pos, name), end = -1;
+            if ( close !== -1 ) end = buffer.indexOf('>', close);
+            if ( end === -1 ) {
+                if ( ! flush ) return -1;
+                close = end = buffer.length;
             }
+            var html = this.raw.source + buffer.substring(pos, close) + '</' + name + '>';
+            this.raw = null;
+            this._current().appendChild( parseFragment(html) );
+            return Math.min( end + 1, buffer.length );
+        },
+        // @return the position of the (matching) end tag or -1 if not yet written
+        _closeTag: function(lower, pos, name) {
+            var tag = new RegExp('<(/?)' + name + '(?=[\\s/>]|$)', 'g'), depth = 0, match;
+            tag.lastIndex = pos;
+            while ( ( match = tag.exec(lower) ) ) {
+                if ( ! match[1] ) { // nested (foreign) elements, raw text is not HTML
+                    if ( FOREIGN_TAGS[name] ) depth++;
+                }
+                else if ( depth-- === 0 ) return match.index;
+            }
+            return -1;
+        },
+        _text: function(str) {
+            if ( ! str ) return;
+            str = decodeEntities(str);
+            var $parent = this._current(), $last = $parent.lastChild;
+            if ( $last && $last.nodeType === 3 ) $last.appendData(str);
+            else $parent.appendChild( document.createTextNode(str) );
+        }
+    };
+
+    function setAttribute($elem, name, value) {
+        try {
+            if ( name === 'class' ) $elem.className = value; // IE < 8
+            else if ( name === 'style' ) $elem.style.cssText = value;
+            else $elem.setAttribute(name, value);
+        }
+        catch (e) { // invalid attribute name
+            log('warn', 'setAttribute() failed: ' + name, null, e);
+        }
+    }
+
+    function insertAfter($node, $ref) {
+        $ref.parentNode.insertBefore($node, $ref.nextSibling);
+    }
+
+    function isJavaScript(type) {
+        return ! type || /^(?:text|application)\/(?:x-)?(?:java|ecma)script$/i.test(type);
+    }
+
+    function findScripts($node, $scripts) {
+        $scripts = $scripts || [];
+        for ( var $child = $node.firstChild; $child; $child = $child.nextSibling ) {
+            if ( $child.nodeType !== 1 ) continue;
+            if ( $child.nodeName.toLowerCase() === 'script' ) $scripts.push($child);
+            else findScripts($child, $scripts);
+        }
+        return $scripts;
+    }
+
+    // (re-)create and run the <script>s from written HTML in document order,
+    // each script's own `document.write()` output (with it's scripts) is run
+    // as well and gets into the (not yet inserted) HTML just after the script
+    function runWrittenScripts($root, $anchor, owner, done) {
+        var $scripts = findScripts($root), i = 0;
+        (function runNext() {
+            if ( i >= $scripts.length ) { done(); return; }
+            runWrittenScript($scripts[i++], $anchor, owner, function($written, $script) {
+                if ( ! $written ) { runNext(); return; }
+                runWrittenScripts($written, $anchor, owner, function() {
+                    insertAfter($written, $script);
+                    runNext();
+                });
+            });
+        })();
+    }
+
+    function runWrittenScript($inert, $anchor, owner, done) {
+        if ( ! isJavaScript( $inert.getAttribute('type') ) ) { done(); return; }
+        var $script = document.createElement('script'), attrs = $inert.attributes;
+        for ( var i = 0; i < attrs.length; i++ ) {
+            if ( attrs[i].specified ) $script.setAttribute(attrs[i].name, attrs[i].value);
+        }
+        if ( ! $script.src ) $script.text = $inert.text;
+        // capture the script's own writes (separately from the outer ones) :
+        var capture = $script.capture = startCapture(owner);
+        var finish = function() {
+            if ( owner.stalled ) return; // abandoned (see `script.watchdog`)
+            endCapture(capture);
+            var $written = capture.writes && capture.written.end();
+            // replace the inert <script> with the one that has run :
+            $inert.parentNode.replaceChild($script, $inert);
+            done($written, $script);
         };
+        log('debug', 'runWrittenScript()', null, $script.src || $script.text);
+        if ( $script.src ) {
+            $script.onload = $script.onreadystatechange = $script.onerror = function() {
+                if ( ! this.readyState || 
+                    this.readyState === "loaded" || this.readyState === "complete" ) {
+                    $script.onload = $script.onreadystatechange = $script.onerror = null;
+                    finish();
+                }
+            };
+            insertAfter($script, $anchor); // runs in place of the written HTML
+        }
+        else {
+            try { insertAfter($script, $anchor); } // inline scripts run on insert
+            finally { finish(); }
+        }
+    }
+
+    // writes get captured per (loading or written) script, as queues load at the
+    // same time a write is attributed to the `document.currentScript`'s capture,
+    // browsers without it (or async writes) fall back to the latest capture :
+    var captures = []; // { writer: settings, writes: [], written: the writes parsed }
+    function startCapture(writer) {
+        var capture = { writer: writer, writes: null, written: null };
+        if ( ! captures.length ) overrideDocWrites();
+        captures.push(capture);
+        return capture;
+    }
+    function endCapture(capture) {
+        for ( var i = captures.length - 1; i >= 0; i-- ) {
+            if ( captures[i] === capture ) { captures.splice(i, 1); break; }
+        }
+        if ( ! captures.length ) restoreDocWrites();
     }
 
-    var writes = null;
     var tempDocWrite = function() { // a document.write replacement
-        var args = arguments;
-        if ( args && args[0] ) {
-            LOG && log('document.write() args[0] = ', args[0]);
-            if ( ! writes ) writes = [];
-            writes.push( args[0] );
+        var $current = document.currentScript;
+        var capture = ( $current && $current.capture ) || captures[captures.length - 1];
+        if ( ( $current && $current.aborted ) || ! capture || capture.writer.stalled ) {
+            return; // ignore an aborted (or stalled) script
+        }
+        var writer = capture.writer, str = Array.prototype.join.call(arguments, '');
+        if ( str ) {
+            log('debug', 'document.write()', writer, str);
+            emit('write', writer, str);
+            if ( ! capture.writes ) { capture.writes = []; capture.written = new HtmlParser(); }
+            capture.writes.push(str);
+            capture.written.write(str);
         }
         else {
-            LOG && log('document.write() unexpected args = ', args);
+            log('warn', 'document.write() unexpected args', writer, arguments);
         }
     };
-    var tempDocWriteln = function(str) { tempDocWrite(str + '\n'); };
+    var tempDocWriteln = function() {
+        tempDocWrite( Array.prototype.join.call(arguments, '') + '\n' );
+    };
 
     var docWrite, docWriteln; // original document.write / writeln
     function overrideDocWrites() {
@@ -123,156 +662,867 @@ var script = ( function() {
 
     // load the next "script" (element) and invoke callback when done :
     function loadScript(settings, yieldDone) {
-        LOG && log('loadScript() opts = ', settings);
+        log('debug', 'loadScript()', settings);
         var loadedCallback = settings.loaded || NOOP, 
             completeCallback = settings.complete || NOOP;
 
         if ( settings.defer ) {
-            var $script = document.createElement('script');
-            $script.src = settings.src;
-            if ( settings.type ) $script.type = settings.type;
-            if ( settings.charset ) $script.setAttribute('charset', settings.charset);
+            var $script, retryTimer, attempts = { candidate: 0, retried: 0 };
+            settings.attempts = []; // { src: url, reason: 'error' | 'timeout' }
 
-            var handleScriptLoaded = function() {
+            var handleScriptLoaded = function(done) {
                 if ( settings.timer ) clearTimeout(settings.timer);
+                settings.runningUntil = now() + RUNTIME_WINDOW; // errors still attributed
+                setTimeout(function() { unwatchRuntime(settings); }, RUNTIME_WINDOW);
+                mark(settings, 'loaded');
+                emit('loaded', settings);
                 
-                var loadedReturn = loadedCallback.call($script, 
-                    settings.writes ? writes || undefined : undefined
-                );
-                if (loadedReturn === false) return;
+                var capture = settings.capture || {}, writes = capture.writes;
+                if ( settings.handle && settings.writes ) settings.handle.writes = writes || undefined;
+                try {
+                    var loadedReturn = loadedCallback.call($script, 
+                        settings.writes ? writes || undefined : undefined
+                    );
+                }
+                catch (e) { settleLoaded(settings); throw e; } // the handle still settles
+                if (loadedReturn === false) { settleLoaded(settings); done(); return; }
                 var $div = document.getElementById(settings.id); // placeholder
-                if ( settings.writes && writes ) { // document.write happened
-                    LOG && log('handleScriptLoaded() writeArray.len = ', writes.length);
-                    //var $scriptSibling = $script.nextSibling;
-                    // nodes should get after the <script> tag :
-                    var appendNode = function($node) {
-                        if ($script.nextSibling) {
-                            $script.parentNode.insertBefore($node, $script.nextSibling);
-                        }
-                        else {
-                            $script.parentNode.appendChild($node);
+                var finish = function($fragment) {
+                    try {
+                        // the HTML gets after the <script> tag :
+                        if ( $fragment ) {
+                            insertAfter($fragment, $script);
+                            mark(settings, 'flushed');
                         }
-                    };
-                    if ( ! $div ) { // if called after DOM load - it won't exist
-                        $div = document.createElement('div');
-                        appendNode( $div );
+                        if ( $div ) $div.parentNode.removeChild($div); // was a temporary
+                        completeCallback.call($script, settings);
                     }
-                    // insert the HTML collected from document.write :
-                    $div.style.display = 'none';
-                    // IE hack for injecting script/style tags correctly :
-                    $div.innerHTML = '<br/>' + writes.join('');
-                    $div.removeChild( $div.childNodes[0] ); // remove the <br/> hack
-                    LOG && log('handleScriptLoaded() div.childNodes.length = ', $div.childNodes.length);
-                    // the HTML gets after the <script> tag :
-                    var $divNode = $div.childNodes[0];
-                    while ( $divNode ) {
-                        // first remove the node from the $div :
-                        $div.removeChild( $divNode );
-                        appendNode( $divNode );
-                        $divNode = $div.childNodes[0]; // NodeList is live
+                    finally { settleLoaded(settings); done(); }
+                };
+                if ( settings.writes && writes ) { // document.write happened
+                    log('debug', 'handleScriptLoaded() writes.length = ' + writes.length, settings);
+                    var written = capture.written;
+                    if ( written.changed(writes) ) { // modified by the loaded callback
+                        written = new HtmlParser();
+                        for ( var i = 0; i < writes.length; i++ ) {
+                            if ( writes[i] ) written.write( writes[i] );
+                        }
                     }
+                    // the HTML collected from document.write :
+                    var $fragment = written.end();
+                    log('debug', 'handleScriptLoaded() fragment.childNodes.length = ' + $fragment.childNodes.length, settings);
+                    // filters might drop (or rewrite) written <script>s before those run :
+                    filterContent($fragment, settings, $script);
+                    // written <script>s (and whatever they write) run before inserting :
+                    runWrittenScripts($fragment, $script, settings, function() { finish($fragment); });
                 }
-                if ( $div ) $div.parentNode.removeChild($div); // was a temporary
-                completeCallback.call($script, settings);
+                else finish();
             };
             
-            //var done = false;
-            $script.onload = $script.onreadystatechange = function( _, isAbort ) {
-                if ( /* ! done && */ ( ! this.readyState || 
-                    this.readyState === "loaded" || this.readyState === "complete" ) ) {
-                    //done = true;
+            // schedule another attempt (retry or the next `src` candidate) :
+            var retryLater = function() {
+                var delay = nextAttempt(settings, attempts);
+                if ( delay === false ) return false; // all candidates failed
+                if ( $script.parentNode ) $script.parentNode.removeChild($script);
+                $script.setAttribute('src', '');
+                $script.aborted = true; // a timed out one might still execute (see tempDocWrite)
+                var capture = settings.capture; // writes of the failed attempt are dropped
+                if ( capture ) capture.writes = capture.written = null;
+                retryTimer = setTimeout(attempt, delay);
+                return true;
+            };
+
+            var attempt = function() {
+                $script = document.createElement('script');
+                if ( settings.handle ) settings.handle.element = $script;
+                var inline = settings.code != null || settings.via === 'fetch';
+                if ( settings.code != null ) $script.text = settings.code;
+                else if ( ! inline ) $script.src = settings.src;
+                if ( settings.type ) $script.type = settings.type;
+                if ( settings.charset ) $script.setAttribute('charset', settings.charset);
+                if ( isParallel(settings) ) $script.async = false; // keep the execution order
+                var attrs = scriptAttributes(settings);
+                for ( var name in attrs ) setAttribute($script, name, attrs[name]);
+                if ( settings.type === 'module' ) injectImportMap(settings);
+                if ( settings.capture ) $script.capture = settings.capture; // see tempDocWrite
+
+                //var done = false;
+                $script.onload = $script.onreadystatechange = function( _, isAbort ) {
+                    if ( /* ! done && */ ( ! this.readyState || 
+                        this.readyState === "loaded" || this.readyState === "complete" ) ) {
+                        //done = true;
                     
-                    $script.onload = $script.onreadystatechange = null;
-                    settings.$script = null;
+                        $script.onload = $script.onreadystatechange = $script.onerror = null;
+                        settings.$script = null;
+                        if ( settings.timer ) clearTimeout(settings.timer);
+                        if ( isAbort && retryLater() ) return; // yet another attempt
+                        settings.cancel = null; // too late for `script.abort()`
                     
-                    try { 
-                        if (isAbort) {
-                            var errorCallback = settings.error || NOOP;
-                            isAbort = errorCallback.call($script, settings);
-                            // returning false from the error callback aborts all 
-                            // next script loading + keeps the script in the DOM !
-                            if (isAbort !== false) {
-                                $script.parentNode.removeChild($script);
-                                $script.setAttribute('src', '');   
+                        try { 
+                            if (isAbort) {
+                                var errorCallback = settings.error || NOOP;
+                                settleFailed(settings);
+                                isAbort = errorCallback.call($script, settings);
+                                // returning false from the error callback aborts all 
+                                // next script loading + keeps the script in the DOM !
+                                if ( isAbort !== false && $script.parentNode ) {
+                                    $script.parentNode.removeChild($script);
+                                    $script.setAttribute('src', '');   
+                                }
+                            }
+                            else { // yield once done (written scripts might be loading)
+                                var yielded = isAbort = false, yieldOnce = function() {
+                                    if ( ! yielded ) { yielded = true; yieldDone && yieldDone(); }
+                                };
+                                try { handleScriptLoaded(yieldOnce); }
+                                catch (e) { yieldOnce(); throw e; }
                             }
                         }
-                        else handleScriptLoaded(); 
+                        finally { isAbort !== false && yieldDone && yieldDone(); }
                     }
-                    finally { isAbort !== false && yieldDone && yieldDone(); }
+                };
+                $script.onerror = function() { // e.g. 404 - won't ever get a load
+                    if ( $script.onload ) $script.onload(null, true); // isAbort === true
+                };
+                settings.$script = $script; // for timeout to have access to <script>
+                if ( settings.timeout ) startTimeout(settings);
+                mark(settings, 'appended');
+                watchRuntime(settings);
+                var append = function() {
+                    settings.append($script); // finally a <script> gets into DOM
+                    // inline code runs (synchronously) when appended - no load event :
+                    if ( inline && $script.onload ) $script.onload.call($script);
+                };
+                if ( settings.via === 'fetch' ) { // evaluate the downloaded text
+                    var $fetching = $script;
+                    whenFetched(settings, function(fetched) {
+                        if ( $fetching !== $script || ! $script.onload ) return; // timed out or aborted
+                        if ( ! fetched.ok ) {
+                            settings.httpStatus = fetched.status; $script.onerror(); return;
+                        }
+                        $script.text = fetched.text + '\n//# sourceURL=' + absoluteSrc(settings.src);
+                        settings.fetched = null; // no need to keep the text around
+                        append();
+                    });
                 }
+                else append();
             };
-            settings.$script = $script; // for timeout to have access to <script>
-            settings.append($script); // finally a <script> gets into DOM
+            // stops loading (used with `script.abort()`) :
+            settings.cancel = function() {
+                if ( retryTimer ) clearTimeout(retryTimer);
+                if ( settings.timer ) clearTimeout(settings.timer);
+                $script.onload = $script.onreadystatechange = $script.onerror = null;
+                settings.$script = null;
+                if ( $script.parentNode ) $script.parentNode.removeChild($script);
+                $script.setAttribute('src', '');
+                $script.aborted = true; // might still execute (see tempDocWrite)
+                removePlaceholder(settings);
+                yieldDone && yieldDone();
+            };
+            attempt();
         }
         else {
             $script = document.getElementById(settings.id);
+            if ( settings.handle ) settings.handle.element = $script;
             try { 
+                mark(settings, 'loaded');
+                emit('loaded', settings);
                 // @todo just a fallback we should hook up these scripts differently !
                 // when refactored @todo add a remove option - script from page ...
                 var loadedReturn = loadedCallback.call($script);
                 loadedReturn !== false && completeCallback.call($script, settings);
             }
             finally {
+                settleLoaded(settings);
                 if ( settings.idGenerated ) $script.id = null;
                 yieldDone && yieldDone();
             }
         }
     }
     
-    function loadScriptWithTimeout(settings, yieldDone) {
+    // records the failed attempt and moves on to the next one, @return the delay
+    // before it (a retry or the next `src` candidate) or false if all failed :
+    function nextAttempt(settings, attempts) {
+        var reason = { src: settings.src, reason: settings.timedOut ? 'timeout' : 'error' };
+        if ( settings.httpStatus ) reason.status = settings.httpStatus; // HTTP (with `via: 'fetch'`)
+        settings.attempts.push(reason);
+        var sources = settings.sources || [ settings.src ], delay = 0,
+            retryDelay = settings.retryDelay == null ? 500 : settings.retryDelay;
+        if ( attempts.retried < ( settings.retries || 0 ) ) {
+            delay = retryDelay * Math.pow(2, attempts.retried++); // backoff
+        }
+        else if ( ++attempts.candidate < sources.length ) attempts.retried = 0;
+        else return false;
+        log('warn', 'nextAttempt() attempt failed', settings, settings.attempts);
+        settings.src = sources[attempts.candidate]; settings.timedOut = false;
+        settings.httpStatus = settings.fetched = null;
+        return delay;
+    }
+
+    function stylesheetLoaded($link) {
+        var sheet = $link.sheet || $link.styleSheet;
+        if ( ! sheet ) return false;
+        try { return !! ( sheet.cssRules || sheet.rules ); }
+        catch (e) { return e.name === 'SecurityError'; } // (loaded) cross origin
+    }
+
+    // load a stylesheet <link> and invoke callback when done :
+    function loadStylesheet(settings, yieldDone) {
+        log('debug', 'loadStylesheet()', settings);
+        var $link = document.createElement('link'), done;
+        if ( settings.handle ) settings.handle.element = $link;
+        $link.rel = 'stylesheet';
+        $link.href = settings.href;
+        if ( settings.media ) $link.media = settings.media;
+        var attrs = scriptAttributes(settings);
+        for ( var name in attrs ) setAttribute($link, name, attrs[name]);
+
+        var finish = function(isAbort) {
+            if ( done ) return; done = true;
+            $link.onload = $link.onerror = null;
+            if ( settings.timer ) clearTimeout(settings.timer);
+            try {
+                if ( isAbort ) {
+                    settleFailed(settings);
+                    isAbort = ( settings.error || NOOP ).call($link, settings);
+                    // same as with scripts - returning false keeps the <link>
+                    if ( isAbort !== false && $link.parentNode ) {
+                        $link.parentNode.removeChild($link);
+                    }
+                }
+                else {
+                    try {
+                        mark(settings, 'loaded');
+                        emit('loaded', settings);
+                        var loadedReturn = ( settings.loaded || NOOP ).call($link);
+                        loadedReturn !== false && ( settings.complete || NOOP ).call($link, settings);
+                    }
+                    finally { settleLoaded(settings); } // even if a callback throws
+                }
+            }
+            finally { yieldDone && yieldDone(); }
+        };
+        $link.onload = function() { finish(false); };
+        $link.onerror = function() { finish(true); };
+        settings.cancel = function() { // used with `script.abort()`
+            done = true;
+            $link.onload = $link.onerror = null;
+            if ( settings.timer ) clearTimeout(settings.timer);
+            if ( $link.parentNode ) $link.parentNode.removeChild($link);
+            yieldDone && yieldDone();
+        };
+        if ( settings.timeout ) {
+            settings.timer = setTimeout(function() {
+                log('debug', 'loadStylesheet() timed out', settings);
+                settings.timedOut = true;
+                emit('timeout', settings);
+                finish(true);
+            }, settings.timeout);
+        }
+        mark(settings, 'appended');
+        settings.append($link);
+
+        if ( ! ( 'onload' in $link ) ) { // older WebKit - no <link> load events
+            (function poll() {
+                if ( done ) return;
+                if ( stylesheetLoaded($link) ) finish(false);
+                else setTimeout(poll, 50);
+            })();
+        }
+    }
+
+    // load a script into a (same origin) iframe placed where the script would
+    // go, the script writes into the iframe's document and the frame gets
+    // resized to fit its content, each attempt (retry or `src` candidate) gets
+    // a new iframe :
+    function loadSandboxed(settings, yieldDone) {
+        log('debug', 'loadSandboxed()', settings);
+        var $frame, done, retryTimer, attempts = { candidate: 0, retried: 0 };
+        settings.attempts = []; // { src: url, reason: 'error' | 'timeout' }
+
+        var finish = function(isAbort) {
+            if ( done ) return; done = true;
+            if ( settings.timer ) clearTimeout(settings.timer);
+            settings.cancel = null; $frame.scriptjs = null;
+            try {
+                removePlaceholder(settings);
+                if ( isAbort ) {
+                    settleFailed(settings);
+                    isAbort = ( settings.error || NOOP ).call($frame, settings);
+                    // same as with scripts - returning false keeps the <iframe>
+                    if ( isAbort !== false && $frame.parentNode ) {
+                        $frame.parentNode.removeChild($frame);
+                    }
+                }
+                else {
+                    try {
+                        mark(settings, 'loaded');
+                        emit('loaded', settings);
+                        var loadedReturn = ( settings.loaded || NOOP ).call($frame);
+                        loadedReturn !== false && ( settings.complete || NOOP ).call($frame, settings);
+                    }
+                    finally { settleLoaded(settings); } // even if a callback throws
+                }
+            }
+            finally { yieldDone && yieldDone(); }
+        };
+        // the attempt failed - retry (in a new frame) or fail :
+        var failed = function() {
+            if ( settings.timer ) clearTimeout(settings.timer);
+            var delay = nextAttempt(settings, attempts);
+            if ( delay === false ) { finish(true); return; } // all candidates failed
+            $frame.scriptjs = null;
+            if ( $frame.parentNode ) $frame.parentNode.removeChild($frame);
+            retryTimer = setTimeout(attempt, delay);
+        };
+
+        var attempt = function() {
+            var $attempt = $frame = document.createElement('iframe');
+            if ( settings.handle ) settings.handle.element = $frame;
+            $frame.frameBorder = '0'; $frame.scrolling = 'no';
+            $frame.style.width = '100%'; $frame.style.height = '0'; $frame.style.border = 'none';
+            $frame.scriptjs = function(state) { // called from the frame
+                state === 'error' ? failed() : finish(false);
+            };
+            if ( settings.timeout ) {
+                settings.timer = setTimeout(function() {
+                    log('debug', 'loadSandboxed() timed out', settings);
+                    settings.timedOut = true;
+                    emit('timeout', settings);
+                    failed();
+                }, settings.timeout);
+            }
+            mark(settings, 'appended');
+            settings.append($frame);
+
+            if ( settings.via === 'fetch' ) { // evaluate the downloaded text
+                whenFetched(settings, function(fetched) {
+                    if ( $attempt !== $frame || done ) return; // timed out or aborted
+                    if ( ! fetched.ok ) { settings.httpStatus = fetched.status; failed(); return; }
+                    writeSandbox($attempt, settings, fetched.text + '\n//# sourceURL=' + absoluteSrc(settings.src));
+                    settings.fetched = null; // no need to keep the text around
+                });
+            }
+            else writeSandbox($frame, settings, settings.code);
+        };
+        settings.cancel = function() { // used with `script.abort()`
+            done = true;
+            $frame.scriptjs = null;
+            if ( retryTimer ) clearTimeout(retryTimer);
+            if ( settings.timer ) clearTimeout(settings.timer);
+            if ( $frame.parentNode ) $frame.parentNode.removeChild($frame);
+            removePlaceholder(settings);
+            yieldDone && yieldDone();
+        };
+        attempt();
+    }
+
+    // write the frame's document - the script (its `src` or the inline `code`)
+    // followed by an inline script signaling back once it (and its writes) ran :
+    function writeSandbox($frame, settings, code) {
+        var nonce = settings.nonce ? ' nonce="' + escapeHTML(settings.nonce) + '"' : '';
+        var content = '<script';
+        if ( code == null ) content += ' src="' + escapeHTML( absoluteSrc(settings.src) ) + '"';
+        if ( settings.type ) content += ' type="' + escapeHTML(settings.type) + '"';
+        var attrs = scriptAttributes(settings);
+        for ( var name in attrs ) content += ' ' + name + '="' + escapeHTML(attrs[name]) + '"';
+        content += '>' + ( code == null ? '' : code.replace(/<\/(script)/gi, '<\\/$1') ) + '<\/script>';
+        content += '<script' + nonce + '>' + FRAME_SIGNAL + '<\/script>';
+
+        var doc = $frame.contentWindow.document;
+        doc.open();
+        doc.write('<!DOCTYPE html><html><head></head><body style="margin: 0;">' + content + '</body></html>');
+        doc.close();
+        if ( code == null ) { // no inline handler attribute - those are blocked by CSP
+            doc.getElementsByTagName('script')[0].onerror = function() {
+                if ( $frame.scriptjs ) $frame.scriptjs('error');
+            };
+        }
+        autoResize($frame);
+    }
+    // the frame might have been removed (aborted) or replaced (retried) :
+    var FRAME_SIGNAL = "frameElement && frameElement.scriptjs && frameElement.scriptjs('loaded')";
+
+    // keep the iframe's height in sync with its content (while in the DOM),
+    // without a `ResizeObserver` the height is polled until the script is done
+    // and the height did not change for a few polls :
+    function autoResize($frame) {
+        var height = 0, unchanged = 0, win = $frame.contentWindow, body = win.document.body;
+        var resize = function() { // @return false once the frame is gone
+            var current;
+            try { current = $frame.parentNode && Math.max(body.scrollHeight, body.offsetHeight); }
+            catch (e) { return false; } // not accessible anymore
+            if ( ! $frame.parentNode || $frame.contentWindow !== win ) return false; // removed
+            if ( current !== height ) {
+                height = current; unchanged = 0; $frame.style.height = height + 'px';
+            }
+            else unchanged++;
+            return true;
+        };
+        var Observer = win.ResizeObserver || window.ResizeObserver;
+        if ( Observer ) {
+            var observer = new Observer(function() { resize() || observer.disconnect(); });
+            observer.observe(body);
+            return;
+        }
+        (function poll() {
+            if ( ! resize() ) return;
+            // `scriptjs` is cleared once the (last) attempt is done :
+            if ( ! $frame.scriptjs && unchanged >= RESIZE_SETTLED ) return;
+            setTimeout(poll, RESIZE_INTERVAL);
+        })();
+    }
+    var RESIZE_INTERVAL = 250, RESIZE_SETTLED = 8; // polls
+
+    var MODULES = 'noModule' in document.createElement('script');
+    var importMap; // import map entries not yet injected (see `importMap`)
+    var modulesInjected = false; // browsers ignore import maps after the first module
+
+    function addImportMap(map) {
+        var name, scope;
+        if ( modulesInjected ) {
+            warn("'importMap' ignored - a module has already been loaded (merge the maps instead)");
+            return;
+        }
+        importMap = importMap || { imports: {}, scopes: {} };
+        for ( name in map.imports ) importMap.imports[name] = map.imports[name];
+        for ( scope in map.scopes ) {
+            var scoped = importMap.scopes[scope] || ( importMap.scopes[scope] = {} );
+            for ( name in map.scopes[scope] ) scoped[name] = map.scopes[scope][name];
+        }
+    }
+
+    // @return the <script type="importmap"> HTML (if there are entries to inject)
+    function importMapHTML(settings) {
+        modulesInjected = true;
+        if ( ! importMap ) return '';
+        var json = JSON.stringify(importMap); importMap = null;
+        var nonce = settings.nonce ? ' nonce="' + escapeHTML(settings.nonce) + '"' : '';
+        return '<script type="importmap"' + nonce + '>' + json.replace(/<\//g, '<\\/') + '<\/script>';
+    }
+
+    // inject the (merged) import map before the first module gets loaded :
+    function injectImportMap(settings) {
+        modulesInjected = true;
+        if ( ! importMap ) return;
+        var $map = document.createElement('script');
+        $map.type = 'importmap';
+        if ( settings.nonce ) $map.setAttribute('nonce', settings.nonce);
+        $map.text = JSON.stringify(importMap); importMap = null;
+        var $head = document.getElementsByTagName('head')[0] || document.documentElement;
+        log('debug', 'injectImportMap() ' + $map.text, settings);
+        $head.appendChild($map);
+    }
+
+    var RUNTIME_WINDOW = 1000; // ms after a script loaded to attribute errors to it
+    var running = []; // scripts executing (or loaded within the RUNTIME_WINDOW)
+
+    function watchRuntime(settings) {
+        settings.runningUntil = null; // until loaded
+        for ( var i = 0; i < running.length; i++ ) {
+            if ( running[i] === settings ) return;
+        }
+        running.push(settings);
+    }
+
+    // forget the script once its RUNTIME_WINDOW passed (or it failed) :
+    function unwatchRuntime(settings) {
+        for ( var i = running.length - 1; i >= 0; i-- ) {
+            if ( running[i] === settings ) running.splice(i, 1);
+        }
+    }
+
+    // @return the (running) script an error (from the given file) belongs to
+    function attributeError(filename) {
+        var time = now(), current = document.currentScript, i, settings;
+        for ( i = running.length - 1; i >= 0; i-- ) { // prune the no longer running
+            settings = running[i];
+            if ( settings.state === 'failed' || ( settings.runningUntil && settings.runningUntil < time ) ) {
+                running.splice(i, 1);
+            }
+        }
+        for ( i = running.length - 1; i >= 0; i-- ) { // executing or thrown from the src
+            settings = running[i];
+            if ( current && settings.handle && settings.handle.element === current ) return settings;
+            if ( filename && settings.src && absoluteSrc(settings.src) === filename ) return settings;
+        }
+        if ( filename ) return null; // thrown from elsewhere
+        // a "Script error." (cross origin) without any details - the latest one that
+        // has executed (within the RUNTIME_WINDOW), not one that is still downloading :
+        for ( i = running.length - 1; i >= 0; i-- ) {
+            if ( running[i].runningUntil ) return running[i];
+        }
+        return null;
+    }
+
+    function handleRuntimeError(event) {
+        var settings = attributeError(event.filename);
+        if ( ! settings ) return;
+        var message = event.message || 'Script error.';
+        var error = new Error("script : runtime error in '" + ( settings.src || settings.id ) + "' : " + message);
+        error.type = 'runtime'; error.settings = settings; error.error = event.error;
+        error.filename = event.filename; error.lineno = event.lineno; error.colno = event.colno;
+        ( settings.runtimeErrors || ( settings.runtimeErrors = [] ) ).push(error);
+        settings.status = 'error';
+        emit('runtimeError', settings, error);
+        ( settings.runtimeError || NOOP ).call(settings.handle && settings.handle.element, error, settings);
+    }
+
+    if ( window.addEventListener ) {
+        window.addEventListener('error', function(event) {
+            if ( event.target && event.target !== window ) return; // e.g. a failed <img>
+            handleRuntimeError(event);
+        }, false);
+    }
+    else { // old IE
+        var windowOnError = window.onerror;
+        window.onerror = function(message, filename, lineno) {
+            handleRuntimeError({ message: message, filename: filename, lineno: lineno });
+            return windowOnError ? windowOnError.apply(this, arguments) : false;
+        };
+    }
+
+    // download the script's text (with `via: 'fetch'`), possibly ahead of time :
+    function prefetch(settings) {
+        if ( settings.fetched ) return settings.fetched;
+        var fetched = settings.fetched = { src: settings.src, callbacks: [] };
+        log('debug', 'prefetch()', settings);
+        var xhr = new XMLHttpRequest();
+        xhr.open('GET', settings.src, true);
+        xhr.onreadystatechange = function() {
+            if ( xhr.readyState !== 4 ) return;
+            xhr.onreadystatechange = NOOP;
+            var status = fetched.status = xhr.status;
+            fetched.text = xhr.responseText;
+            // status 0 might be a (successful) local file:// read
+            fetched.ok = ( status >= 200 && status < 300 ) || ( status === 0 && !! fetched.text );
+            var callbacks = fetched.callbacks; fetched.callbacks = null;
+            for ( var i = 0; i < callbacks.length; i++ ) callbacks[i](fetched);
+        };
+        try { xhr.send(null); }
+        catch (e) { // e.g. a network error on a synchronous failure
+            log('warn', 'prefetch() failed', settings, e);
+            xhr.onreadystatechange = NOOP;
+            fetched.status = 0; fetched.ok = false;
+            later(function() {
+                var callbacks = fetched.callbacks; fetched.callbacks = null;
+                for ( var i = 0; i < callbacks.length; i++ ) callbacks[i](fetched);
+            });
+        }
+        return fetched;
+    }
+    function whenFetched(settings, callback) {
+        var fetched = prefetch(settings);
+        fetched.callbacks ? fetched.callbacks.push(callback) : callback(fetched);
+    }
+
+    function startTimeout(settings) {
         settings.timer = setTimeout(function() {
-            LOG && log('loadScriptWithTimeout()', settings);
+            log('debug', 'startTimeout()', settings);
             var $script = settings.$script; settings.$script = null;
             if ($script && $script.onload) { 
                 // not yet succesfully loaded if there's still an onload handler
-                LOG && log('loadScriptWithTimeout() timed out: ', $script, settings);
+                log('debug', 'startTimeout() timed out', settings);
+                settings.timedOut = true;
+                emit('timeout', settings);
                 $script.onload(null, true); // isAbort === true
             }
         }, settings.timeout || 0);
-        
-        return loadScript(settings, yieldDone);
     }
     
-    var scripts = []; // a list of scripts to load
+    // (re-)order the queue so that required (named) scripts get loaded first,
+    // scripts that are part of a `requires` cycle (even one going through other
+    // queues) are marked as failed :
+    function sortScripts(scripts) {
+        var queued = scripts.slice(0), sorted = [], marks = {}, path = [], i;
+        var visit = function(settings) {
+            var mark = marks[settings.id], i;
+            if ( mark === 2 ) return; // already sorted
+            if ( mark === 1 ) { // visiting - we've got a cycle
+                for ( i = path.length - 1; path[i] !== settings; i-- );
+                var cycle = path.slice(i), names = [];
+                for ( i = 0; i < cycle.length; i++ ) names.push( cycle[i].name );
+                names.push( settings.name );
+                for ( i = 0; i < cycle.length; i++ ) {
+                    cycle[i].dependencyError = 'cycle ' + names.join(' -> ');
+                }
+                return;
+            }
+            marks[settings.id] = 1; path.push(settings);
+            var requires = settings.requires;
+            for ( i = 0; requires && i < requires.length; i++ ) {
+                var required = named[ requires[i] ];
+                if ( required && required.state === 'queued' ) {
+                    if ( rank(required) > rank(settings) ) { // inherit the priority
+                        required.priority = settings.priority;
+                    }
+                    if ( required.release ) required.release(); // e.g. a lazy one
+                    visit(required); // cycles are detected across queues
+                }
+            }
+            path.pop(); marks[settings.id] = 2;
+            // another queue loads it (this one waits, see `pendingRequired`) :
+            if ( queueOf(settings) === scripts ) sorted.push(settings);
+        };
+        for ( i = 0; i < queued.length; i++ ) {
+            if ( queued[i] ) visit( queued[i] );
+        }
+        scripts.splice.apply( scripts, [ 0, scripts.length ].concat(sorted) );
+    }
+
+    // returns a required script that is still loading (to be waited for) or
+    // marks the settings with a `dependencyError` if requirements can't be met
+    function pendingRequired(settings) {
+        var requires = settings.requires;
+        for ( var i = 0; requires && i < requires.length; i++ ) {
+            if ( settings.dependencyError ) return null;
+            var name = requires[i], required = named[name];
+            if ( ! required ) settings.dependencyError = "missing '" + name + "'";
+            else if ( required.state === 'failed' ) settings.dependencyError = "failed '" + name + "'";
+            else if ( required.state !== 'loaded' ) return required;
+        }
+        return null;
+    }
+
+    function removePlaceholder(settings) {
+        var $div = settings.defer && document.getElementById(settings.id);
+        if ( $div && $div.nodeName.toLowerCase() === 'div' ) $div.parentNode.removeChild($div);
+    }
+
+    function failDependency(settings) {
+        log('debug', 'failDependency() ' + settings.dependencyError, settings);
+        removePlaceholder(settings);
+        try { ( settings.error || NOOP ).call(null, settings); }
+        finally { settleFailed(settings); }
+    }
+
+    // continue loading the queues that have been waiting for the given script :
+    function resumeWaiting(settings) {
+        for ( var name in queues ) {
+            var scripts = queues[name];
+            if ( scripts.waitingFor === settings ) {
+                delete scripts.waitingFor; resumeLoading(scripts);
+            }
+        }
+    }
+    function resumeLoading(scripts) {
+        delete scripts.loading; loadQueue(scripts);
+    }
+
+    // async = false scripts download in parallel but execute in insertion order
+    var ASYNC_ORDERED = 'async' in document.createElement('script');
+    var PARALLEL_LIMIT = 4; // default concurrency with `parallel: true`
+
+    function isParallel(settings) {
+        return settings.parallel && settings.defer && ! settings.writes &&
+            ! settings.stylesheet && ! settings.sandbox && ASYNC_ORDERED &&
+            // inline scripts run once appended (not in order with the downloading ones) :
+            settings.code == null && settings.via !== 'fetch' &&
+            // a retry would get appended (thus executed) after the scripts queued later :
+            ! settings.retries && ! ( settings.sources && settings.sources.length > 1 );
+    }
+
+    var PRIORITIES = { critical: 0, normal: 1, idle: 2 };
+
+    function rank(settings) {
+        var rank = PRIORITIES[ settings.priority ];
+        return rank == null ? PRIORITIES.normal : rank;
+    }
+
+    var windowLoaded = document.readyState === 'complete', afterLoad = [];
+    addListener(window, 'load', function() {
+        windowLoaded = true;
+        while ( afterLoad.length ) afterLoad.shift()();
+    });
+
+    // (once the window loaded) let the queue continue with an idle script :
+    function waitIdle(scripts) {
+        if ( scripts.waitingIdle ) return; // already scheduled
+        scripts.waitingIdle = true;
+        var idle = function() {
+            delete scripts.waitingIdle;
+            scripts.idle = true; loadQueue(scripts);
+        };
+        var schedule = function() {
+            if ( window.requestIdleCallback ) window.requestIdleCallback(idle, { timeout: IDLE_TIMEOUT });
+            else setTimeout(idle, IDLE_DELAY);
+        };
+        windowLoaded ? schedule() : afterLoad.push(schedule);
+    }
+    var IDLE_TIMEOUT = 5000, IDLE_DELAY = 50;
+
+    // the queue watchdog - an entry holding the queue (e.g. a hung writing script)
+    // gets stalled after `script.watchdog.timeout` (extended to the script's own
+    // timeouts and retries) or once the `deadline` of the busy queue passed,
+    // @return the done callback to pass to the loading :
+    function watchEntry(settings, done) {
+        var watchdog = script.watchdog || {}, limit = watchdog.timeout, called, timer;
+        if ( limit != null ) limit = loadBudget(settings, limit);
+        var left = deadlineLeft(settings);
+        if ( left != null ) limit = limit != null ? Math.min(limit, left) : left;
+        var yieldDone = function() {
+            if ( called ) return; called = true;
+            if ( timer ) clearTimeout(timer);
+            done();
+        };
+        if ( limit == null ) return yieldDone;
+        timer = setTimeout(function() {
+            if ( called ) return; called = true;
+            // settled but not done - an `error` callback returning false stops the queue :
+            if ( settings.state === 'loaded' || settings.state === 'failed' ) return;
+            log('warn', 'watchEntry() stalled after ' + limit + 'ms', settings);
+            try { stallEntry(settings); }
+            finally { done(); } // continue with the rest of the queue
+        }, limit);
+        return yieldDone;
+    }
+
+    // @return milliseconds left till the `deadline` of the (busy) queue or null :
+    function deadlineLeft(settings) {
+        var deadline = ( script.watchdog || {} ).deadline;
+        if ( ! deadline ) return null;
+        return Math.max( queueOf(settings).busySince + deadline - now(), 0 );
+    }
+
+    // @return the time the script might take loading by its own policy - each of
+    // the attempts (`retries` of every `src` candidate) with the backoff delays :
+    function loadBudget(settings, timeout) {
+        var retries = settings.retries || 0, backoff = 0, i,
+            candidates = settings.sources && settings.sources.length || 1,
+            retryDelay = settings.retryDelay == null ? 500 : settings.retryDelay;
+        for ( i = 0; i < retries; i++ ) backoff += retryDelay * Math.pow(2, i);
+        timeout = Math.max( timeout, settings.timeout || 0 ); // per attempt
+        return ( timeout * ( retries + 1 ) + backoff ) * candidates;
+    }
+
+    // fail an entry holding the queue (without waiting for it any longer) :
+    function stallEntry(settings) {
+        settings.stalled = true;
+        for ( var i = captures.length - 1; i >= 0; i-- ) { // the stalled script might still write
+            if ( captures[i].writer === settings ) endCapture(captures[i]);
+        }
+        if ( settings.cancel ) settings.cancel(); // stop loading
+        removePlaceholder(settings);
+        settleFailed(settings);
+        ( settings.error || NOOP ).call(null, settings);
+    }
+
+    // each (named) queue is a list of scripts to load with its own serial runner,
+    // the default queue is named '' - slow ads don't hold up a content embed :
+    var queues = {};
+    function queueOf(settings) {
+        var name = typeof settings.queue === 'string' ? settings.queue : '';
+        return queues[name] || ( queues[name] = [] );
+    }
+
     function loadScripts() {
-        if ( ! scripts || scripts.loading ) return; // already loading
-        LOG && log('loadScripts() scripts.length = ', scripts.length);
+        for ( var name in queues ) loadQueue( queues[name] );
+    }
+
+    function loadQueue(scripts) {
+        if ( scripts.loading ) return; // already loading
+        log('debug', 'loadQueue() scripts.length = ' + scripts.length);
         scripts.loading = true;
+        if ( ! scripts.busySince ) scripts.busySince = now(); // see `script.watchdog`
         (function loadNext() {
+            sortScripts(scripts);
             if ( ! scripts.length ) {
-                delete scripts.loading;
+                delete scripts.loading; delete scripts.busySince;
                 return;
             }
-            var settings = scripts.shift();
+            var settings = scripts[0];
             if (settings) {
-                var loadFn = settings.timeout ? loadScriptWithTimeout : loadScript;
-                if (settings.writes) {
-                    LOG && log('loadNext() with writes ...');
-                    overrideDocWrites();writes = null;
-                    loadFn(settings, function() { // done callback
-                        restoreDocWrites(); writes = null; // clear for next
+                var required = pendingRequired(settings);
+                if ( required ) { // a (non-writing) required script is loading
+                    log('debug', 'loadNext() waiting for ' + required.name, settings);
+                    scripts.waitingFor = required; return;
+                }
+                if ( settings.defer && rank(settings) === PRIORITIES.idle ) {
+                    if ( ! scripts.idle ) { // stop (higher priority scripts restart loading)
+                        log('debug', 'loadNext() waiting for idle', settings);
+                        delete scripts.loading; delete scripts.busySince; waitIdle(scripts); return;
+                    }
+                    delete scripts.idle; // each idle script waits for an idle period
+                }
+                var parallel = isParallel(settings);
+                if ( scripts.parallel ) { // some parallel scripts still in flight
+                    var limit = typeof settings.parallel === 'number' ? settings.parallel : PARALLEL_LIMIT;
+                    if ( ! parallel || scripts.parallel >= limit ) {
+                        log('debug', 'loadNext() waiting for parallel scripts ' + scripts.parallel, settings);
+                        scripts.waitingSlot = true; return;
+                    }
+                }
+                scripts.shift();
+                if ( settings.dependencyError ) {
+                    failDependency(settings);
+                    loadNext(); return;
+                }
+                var holds = settings.stylesheet || ( settings.writes && settings.defer && ! settings.sandbox );
+                if ( holds && deadlineLeft(settings) === 0 ) { // fail without appending
+                    log('warn', 'loadNext() stalled - the queue deadline passed', settings);
+                    try { stallEntry(settings); }
+                    finally { loadNext(); }
+                    return;
+                }
+                settings.state = 'loading';
+                emit('start', settings);
+                if (settings.stylesheet) {
+                    log('debug', 'loadNext() stylesheet ...', settings);
+                    loadStylesheet(settings, watchEntry(settings, function() { // done callback
+                        loadNext();
+                    }));
+                }
+                else if ( settings.sandbox && settings.defer ) { // writes into its own document
+                    log('debug', 'loadNext() sandboxed ...', settings);
+                    loadSandboxed(settings);
+                    loadNext();
+                }
+                else if (settings.writes) {
+                    log('debug', 'loadNext() with writes ...', settings);
+                    settings.capture = startCapture(settings);
+                    loadScript(settings, watchEntry(settings, function() { // done callback
+                        endCapture(settings.capture); settings.capture = null;
                         loadNext(); // setTimeout(loadNext, 1);
+                    }));
+                }
+                else if ( parallel ) {
+                    log('debug', 'loadNext() parallel ...', settings);
+                    scripts.parallel = ( scripts.parallel || 0 ) + 1;
+                    loadScript(settings, function() { // done callback
+                        scripts.parallel--;
+                        if ( scripts.waitingSlot ) {
+                            delete scripts.waitingSlot; resumeLoading(scripts);
+                        }
                     });
+                    loadNext();
                 }
                 else {
-                    LOG && log('loadNext() no writes ...');
-                    loadFn(settings);
+                    log('debug', 'loadNext() no writes ...', settings);
+                    loadScript(settings);
                     loadNext(); // setTimeout(loadNext, 1);
                 }
             }
             else { // maybe there's a hole in the list
+                scripts.shift();
                 loadNext();
             }
         })();
     }
     
+    var watched = []; // scripts to start watching (see deferQueueing) on DOM ready
+    function domReady() {
+        var settings;
+        while ( ( settings = watched.shift() ) ) startWatching(settings);
+        loadScripts();
+    }
+
     var DOMContentLoaded, load = function() { // a window.onload fallback
-        if ( DOMContentLoaded ) { DOMContentLoaded = null; loadScripts(); }
+        if ( DOMContentLoaded ) { DOMContentLoaded = null; domReady(); }
     };
     if ( document.addEventListener ) { // "normal" browsers
         DOMContentLoaded = function() {
             document.removeEventListener( "DOMContentLoaded", DOMContentLoaded, false );
-            DOMContentLoaded = null; loadScripts();
+            DOMContentLoaded = null; domReady();
         };
         document.addEventListener( "DOMContentLoaded", DOMContentLoaded, false );
         window.addEventListener( "load", load, false );
@@ -281,7 +1531,7 @@ var script = ( function() {
         DOMContentLoaded = function() {
             if (document.readyState === "complete") { // make sure body exists
                 document.detachEvent( "onreadystatechange", DOMContentLoaded );
-                DOMContentLoaded = null; loadScripts();
+                DOMContentLoaded = null; domReady();
             }
         };
         document.attachEvent( "onreadystatechange", DOMContentLoaded );
@@ -299,11 +1549,254 @@ var script = ( function() {
                 try { document.documentElement.doScroll("left"); }
                 catch(e) { setTimeout( doScrollCheck, 1 ); return; }
 
-                loadScripts();
+                domReady();
             })();
         }
     }
     
+    function addListener($elem, event, fn) {
+        if ( $elem.addEventListener ) $elem.addEventListener(event, fn, false);
+        else $elem.attachEvent('on' + event, fn);
+    }
+    function removeListener($elem, event, fn) {
+        if ( $elem.removeEventListener ) $elem.removeEventListener(event, fn, false);
+        else $elem.detachEvent('on' + event, fn);
+    }
+
+    // defers queueing of the script until a watcher calls `settings.release()`,
+    // the watch function receives the release and returns an "unwatch" function
+    function deferQueueing(settings, watch) {
+        settings.watch = watch;
+        settings.release = function() {
+            if ( ! settings.release ) return; // already released
+            settings.release = null;
+            if ( settings.unwatch ) { settings.unwatch(); settings.unwatch = null; }
+            log('debug', 'release()', settings);
+            enqueue(settings);
+            if ( ! DOMContentLoaded ) loadScripts(); // otherwise loads on DOM ready
+        };
+        if ( DOMContentLoaded ) watched.push(settings);
+        else startWatching(settings);
+    }
+    function startWatching(settings) {
+        if ( settings.release ) settings.unwatch = settings.watch(settings.release);
+    }
+
+    // invokes callback when the element gets (rootMargin) near the viewport :
+    function watchVisible($elem, rootMargin, callback) {
+        if ( typeof rootMargin === 'number' ) rootMargin += 'px';
+        rootMargin = rootMargin || '0px';
+        if ( window.IntersectionObserver ) {
+            var observer = new IntersectionObserver(function(entries) {
+                for ( var i = 0; i < entries.length; i++ ) {
+                    if ( entries[i].isIntersecting ) { callback(); return; }
+                }
+            }, { rootMargin: rootMargin });
+            observer.observe($elem);
+            return function() { observer.disconnect(); };
+        }
+        // a scroll (and resize) based fallback :
+        var margin = parseInt(rootMargin, 10) || 0;
+        var check = function() {
+            var rect = $elem.getBoundingClientRect();
+            var height = window.innerHeight || document.documentElement.clientHeight;
+            if ( rect.bottom >= -margin && rect.top <= height + margin ) callback();
+        };
+        addListener(window, 'scroll', check);
+        addListener(window, 'resize', check);
+        later(check);
+        return function() {
+            removeListener(window, 'scroll', check);
+            removeListener(window, 'resize', check);
+        };
+    }
+
+    // invokes callback on the first `trigger.event` and (optionally) replays it
+    // once the script completed :
+    function watchEvent($elem, settings, callback) {
+        var trigger = settings.trigger, type = trigger.event || 'click';
+        var listener = function() {
+            callback();
+            if ( trigger.replay ) {
+                settings.handle.then(function() { replayEvent($elem, type); });
+            }
+        };
+        addListener($elem, type, listener);
+        return function() { removeListener($elem, type, listener); };
+    }
+    function replayEvent($elem, type) {
+        log('debug', 'replayEvent() ' + type);
+        if ( document.createEvent ) {
+            var event = document.createEvent('HTMLEvents');
+            event.initEvent(type, type !== 'focus', true); // focus does not bubble
+            $elem.dispatchEvent(event);
+        }
+        else {
+            $elem.fireEvent('on' + type);
+        }
+    }
+
+    function findElement(target) {
+        if ( typeof target !== 'string' ) return target;
+        if ( document.querySelector ) return document.querySelector(target);
+        return document.getElementById( target.replace(/^#/, '') );
+    }
+
+    // queues a `lazy` or `trigger`-ed script once its element (the placeholder
+    // by default) gets near the viewport or interacted with :
+    function watchElement(settings, $elem) {
+        deferQueueing(settings, function(release) {
+            var trigger = settings.trigger;
+            var $target = trigger && trigger.target ? findElement(trigger.target) : $elem;
+            $target = $target || document.getElementById(settings.id); // placeholder
+            if ( ! $target ) { release(); return null; }
+            if ( trigger ) return watchEvent($target, settings, release);
+            return watchVisible($target, settings.rootMargin, release);
+        });
+    }
+
+    // the (security related) options and `attributes` to set on a <script> :
+    function scriptAttributes(settings) {
+        var attrs = {}, name, crossorigin = settings.crossorigin;
+        for ( name in settings.attributes ) attrs[name] = settings.attributes[name];
+        if ( settings.integrity ) {
+            attrs.integrity = settings.integrity;
+            // SRI checks cross origin scripts only when loaded using CORS :
+            if ( crossorigin == null ) crossorigin = 'anonymous';
+        }
+        if ( crossorigin != null && crossorigin !== false ) {
+            attrs.crossorigin = crossorigin === true ? 'anonymous' : crossorigin;
+        }
+        if ( settings.nonce ) attrs.nonce = settings.nonce;
+        if ( settings.referrerpolicy ) attrs.referrerpolicy = settings.referrerpolicy;
+        return attrs;
+    }
+
+    function escapeHTML(str) {
+        return String(str).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+
+    function isArray(obj) {
+        return Object.prototype.toString.call(obj) === '[object Array]';
+    }
+
+    function resolveSrc(src, base) {
+        if ( base && src.substring(0, 4) !== 'http' ) {
+            var last = base.length - 1;
+            base = base.charAt(last) == '/' ? base.substring(0, last) : base;
+            src = base + '/' + src;
+        }
+        return src;
+    }
+
+    // misuse gets warned about regardless of `script.debug` :
+    function warn(message) {
+        consoleSink({ time: now(), level: 'warn', message: message });
+    }
+
+    var deprecations = {}; // warned about once
+    function deprecated(option, instead) {
+        if ( deprecations[option] ) return;
+        deprecations[option] = true;
+        warn("'" + option + "' is deprecated, use '" + instead + "' instead");
+    }
+
+    function mergeOptions(args, defs) {
+        var name, opts = {};
+        if ( defs ) for ( name in defs ) opts[name] = defs[name];
+        for ( name in args ) opts[name] = args[name];
+        if ( defs && defs.attributes && args.attributes ) { // merge attributes
+            opts.attributes = {};
+            for ( name in defs.attributes ) opts.attributes[name] = defs.attributes[name];
+            for ( name in args.attributes ) opts.attributes[name] = args.attributes[name];
+        }
+        return opts;
+    }
+
+    function toAppendFn(append) {
+        if ( typeof append === "string" ) { // treat as Node ID
+            return function($elem) {
+                var $append = document.getElementById(append);
+                $append.appendChild($elem);
+            };
+        }
+        if ( append && append.appendChild ) { // Node itself
+            return function($elem) {
+                append.appendChild($elem);
+            };
+        }
+        return append; // a function (or not set)
+    }
+
+    // registers the (merged) options to be loaded, @return the handle
+    function register(opts) {
+        if ( ! opts.id ) { 
+            opts.id = script._generateId();
+            opts.idGenerated = true;
+        }
+
+        if ( typeof opts.requires === 'string' ) opts.requires = [ opts.requires ];
+        if ( opts.name ) nameScript(opts.name, opts);
+        opts.state = 'queued';
+
+        var handle = opts.handle = new Handle();
+        handle.id = opts.id; handle.element = null; handle.writes = undefined;
+        handle.abort = function() { return script.abort(opts.id); };
+        pending[opts.id] = opts; record(opts);
+        opts.timing = { queued: now() };
+
+        opts.append = toAppendFn(opts.append);
+        emit('queued', opts);
+        return handle;
+    }
+
+    // keep the settings for `script.report()`, the oldest settled ones get dropped
+    // once there's more than `script.report.limit` of them (e.g. in a SPA) :
+    function record(settings) {
+        allScripts.push(settings);
+        var limit = script.report.limit, i = 0;
+        while ( limit != null && allScripts.length > limit && i < allScripts.length ) {
+            var state = allScripts[i].state;
+            if ( state === 'loaded' || state === 'failed' ) allScripts.splice(i, 1);
+            else i++;
+        }
+    }
+
+    function absoluteSrc(src) {
+        var $a = document.createElement('a');
+        $a.href = src;
+        return $a.href;
+    }
+
+    // attach (the callbacks of) a duplicate `script()` call to the existing load :
+    function nameScript(name, settings) {
+        var current = named[name]; // a failed (or aborted) one might be loaded again
+        if ( current && current.state !== 'failed' ) throw "script : name '" + name + "' already registered";
+        named[name] = settings;
+    }
+
+    function attach(settings, opts) {
+        if ( opts.name ) nameScript(opts.name, settings); // an alias (e.g. for `requires`)
+        log('info', 'script() ' + opts.src + ' already ' + settings.state, settings);
+        var handle = settings.handle;
+        handle.then(function() {
+            var $script = handle.element;
+            if ( opts.loaded ) opts.loaded.call($script, handle.writes);
+            if ( opts.complete ) opts.complete.call($script, opts);
+        }, function() {
+            if ( opts.error ) opts.error.call(null, settings);
+        });
+        return handle;
+    }
+
+    // queue the script ahead of (not yet started) lower priority scripts :
+    function enqueue(opts) {
+        var scripts = queueOf(opts), i = scripts.length;
+        while ( i > 0 && ( ! scripts[i - 1] || rank(scripts[i - 1]) > rank(opts) ) ) i--;
+        scripts.splice( i, 0, opts );
+        if ( opts.via === 'fetch' && opts.defer ) prefetch(opts); // download while others load
+    }
+
     /**
      * The script function itself
      */
@@ -311,17 +1804,43 @@ var script = ( function() {
         if ( ! args ) throw 'script : no arguments given';
         if ( typeof args === "string" ) args = {src: args};
         else {
-            if ( ! args.src ) throw "script : 'src' is required";
+            if ( ! args.src && args.code == null ) throw "script : 'src' (or 'code') is required";
         }
 
-        var name, opts = {}, defs = script.defaults;
-        if ( defs ) for ( name in defs ) opts[name] = defs[name];
-        for ( name in args ) opts[name] = args[name];
+        var name, opts = mergeOptions(args, script.defaults);
+        if ( opts.via === 'fetch' && opts.integrity ) { // evaluated text is not checked
+            throw "script : 'integrity' is not supported with via: 'fetch'";
+        }
+        if ( opts.module ) { // a classic `nomodule` script for older browsers
+            if ( ! MODULES && opts.nomodule ) opts.src = opts.nomodule;
+            else {
+                if ( args.type && args.type !== 'module' ) {
+                    warn("'type' (" + args.type + ") is replaced with 'module' (`module: true`)");
+                }
+                opts.type = 'module';
+            }
+            opts.writes = false; // modules can not document.write()
+        }
+        if ( opts.importMap && opts.type === 'module' ) addImportMap(opts.importMap);
         // complete some of the provided arguments :
-        if ( opts.base && opts.src.substring(0, 4) !== 'http' ) {
-            var base = opts.base, last = opts.base.length - 1;
-            base = base[last] == '/' ? base.substring(0, last) : base;
-            opts.src = base + '/' + opts.src;
+        if ( opts.code != null ) { // inline code (instead of a src)
+            opts.code = String(opts.code); opts.src = undefined; opts.sources = [];
+        }
+        else {
+            opts.sources = isArray(opts.src) ? opts.src.slice(0) : [ opts.src ];
+            if ( ! opts.sources.length ) throw "script : 'src' is required";
+            for ( var i = 0; i < opts.sources.length; i++ ) {
+                opts.sources[i] = resolveSrc( opts.sources[i], opts.base );
+            }
+            opts.src = opts.sources[0]; // the (first) candidate to load
+        }
+
+        // a library (not an embed that writes) is loaded once, sandboxed scripts do not share their globals :
+        var loadSrc = null; // registered as a load (below) once the script got registered
+        if ( opts.src && opts.writes === false && ! opts.sandbox ) {
+            var src = absoluteSrc(opts.src), loading = loads[src];
+            if ( loading && loading.state !== 'failed' && ! opts.force ) return attach(loading, opts);
+            if ( ! loading || loading.state === 'failed' ) loadSrc = src;
         }
 
         // @todo support charset option !
@@ -338,25 +1857,17 @@ var script = ( function() {
             }
             delete opts.onload;
         }
-        if ( typeof(opts.defer) === 'undefined' ) opts.defer = opts.onLoad;
-
-        if ( ! opts.id ) { 
-            opts.id = script._generateId();
-            opts.idGenerated = true;
+        // order option is @deprecated
+        if ( opts.order != null ) { // map order -> priority
+            deprecated('order', 'priority');
+            if ( opts.priority == null ) opts.priority = opts.order === 0 ? 'critical' : 'normal';
+            delete opts.order;
         }
+        if ( typeof(opts.defer) === 'undefined' ) opts.defer = opts.onLoad || opts.lazy || opts.trigger || opts.sandbox ||
+            opts.code != null || opts.via === 'fetch';
 
-        var append = opts.append;
-        if ( typeof append === "string" ) { // treat as Node ID
-            opts.append = function($script) {
-                var $append = document.getElementById(append);
-                $append.appendChild($script);
-            }
-        }
-        else if ( append && append.appendChild ) { // Node itself
-            opts.append = function($script) {
-                append.appendChild($script);
-            }
-        }
+        var appendTo = opts.append, handle = register(opts);
+        if ( loadSrc ) { loads[loadSrc] = opts; opts.loadSrc = loadSrc; }
         
         // by default assume script does (document) writes :
         if ( opts.writes == null ) opts.writes = true;
@@ -374,12 +1885,21 @@ var script = ( function() {
                     }
                 }
             }
-            else {
-                content = '<script id="'+ opts.id +'" src="'+ opts.src +'"><\/script>';
+            else { // inline `code` runs (and writes) in place
+                content = '<script id="'+ opts.id +'"';
+                if ( opts.code == null ) content += ' src="'+ escapeHTML(opts.src) +'"';
+                if ( opts.type === 'module' ) content = importMapHTML(opts) + content;
+                if ( opts.type ) content += ' type="' + escapeHTML(opts.type) + '"';
+                var attrs = scriptAttributes(opts);
+                for ( name in attrs ) content += ' ' + name + '="' + escapeHTML(attrs[name]) + '"';
+                content += '>';
+                if ( opts.code != null ) content += opts.code.replace(/<\/(script)/gi, '<\\/$1');
+                content += '<\/script>';
             }
             document.write(content); // ok as we're still building the DOM
             
-            opts.order == null ? scripts.push( opts ) : scripts.splice( opts.order, 0, opts );
+            if ( ( opts.lazy || opts.trigger ) && opts.defer ) watchElement(opts); // on DOM ready
+            else enqueue(opts);
         }
         else { // DOM load already happened
             opts.defer = true; // doesn't make sense to be false
@@ -390,16 +1910,488 @@ var script = ( function() {
                 }
             }
             
-            opts.order == null ? scripts.push( opts ) : scripts.splice( opts.order, 0, opts );
-            loadScripts(); // safely callable multiple times
+            if ( opts.lazy || opts.trigger ) { // watch the append-ed to element (if any)
+                var $elem = typeof appendTo === 'string' ? document.getElementById(appendTo) : appendTo;
+                watchElement(opts, $elem && $elem.nodeType ? $elem : document.body);
+                return handle;
+            }
+            enqueue(opts);
+            // give scripts required in the same "tick" a chance to get queued :
+            opts.requires ? later(loadScripts) : loadScripts(); // safely callable multiple times
         }
+        return handle;
     }
 
+    /**
+     * Loads a stylesheet using a <link rel="stylesheet"> element.
+     *
+     * @param opts the (stylesheet) options or a string in which case it
+     * behaves like if <code>{ href: string }</code> was specified
+     *
+     * Supported options (see `script()` for details) :
+     *
+     * - href: the stylesheet URL (absolute or relative to 'base'), required
+     *
+     * - base, id, name, requires, timeout, loaded, complete, error, integrity,
+     *   crossorigin, nonce, referrerpolicy, attributes : same as with `script()`
+     *
+     * - media: the media (query) the stylesheet applies to
+     *
+     * - append: where to append the <link>, by default it goes into <head>
+     *
+     * - queue: set to true (or a queue name) to join the (ordered) queue of defered
+     *   scripts (the stylesheet gets loaded before the scripts queued after it),
+     *   otherwise loading starts right away
+     *
+     * To setup default arguments use `script.css.defaults`.
+     *
+     * @return a thenable handle (same as with `script()`)
+     */
+    script.css = function(args) {
+        if ( ! args ) throw 'script.css : no arguments given';
+        if ( typeof args === "string" ) args = { href: args };
+
+        var opts = mergeOptions(args, script.css.defaults);
+        var href = opts.href || opts.src;
+        if ( ! href ) throw "script.css : 'href' is required";
+        opts.src = opts.href = resolveSrc(href, opts.base);
+        opts.stylesheet = true; opts.defer = true; opts.writes = false;
+
+        var handle = register(opts);
+        if ( ! opts.append ) {
+            opts.append = function($link) {
+                var $head = document.getElementsByTagName('head')[0];
+                $head.appendChild($link);
+            };
+        }
+
+        if ( opts.queue ) {
+            enqueue(opts);
+            if ( ! DOMContentLoaded ) loadScripts(); // otherwise loads on DOM ready
+        }
+        else {
+            opts.state = 'loading';
+            emit('start', opts);
+            loadStylesheet(opts);
+        }
+        return handle;
+    };
+
+    script.css.defaults = {}; // default stylesheet settings
+
+    /**
+     * JSONP - loads the given URL with a (generated) global callback function
+     * name passed as a query parameter, the script is removed once it's done.
+     *
+     * @param url the JSONP URL (absolute or relative to 'base')
+     * @param opts (optional) options, besides the `script()` ones :
+     *
+     * - param: the query parameter name for the callback (default 'callback')
+     *
+     * - callbackName: the global callback function name to use (generated
+     *   unless specified)
+     *
+     * NOTE: JSONP scripts are assumed not to `document.write()` and are
+     * always loaded defered (as part of the scripts queue).
+     *
+     * @return a thenable that resolves with the callback's (first) argument once
+     * invoked (possibly later, after the script loaded), rejects on an `error`, an
+     * abort or a `timeout` (which applies to waiting for the callback as well,
+     * starting once the script loaded - not while it's queued, lazy or triggered)
+     */
+    script.jsonp = function(url, args) {
+        if ( ! url ) throw 'script.jsonp : no url given';
+        var name, opts = {};
+        for ( name in args ) opts[name] = args[name];
+
+        var callbackName = opts.callbackName || ( '_scriptJsonp' + ( _jsonpId++ ) );
+        var param = opts.param || 'callback', result = new Handle(), settled, timer;
+        url += ( url.indexOf('?') === -1 ? '?' : '&' );
+        url += encodeURIComponent(param) + '=' + encodeURIComponent(callbackName);
+
+        // settles once the callback got invoked (or the script failed) :
+        var settle = function(state, value) {
+            if ( settled ) return; settled = true;
+            if ( timer ) clearTimeout(timer);
+            var $script = handle.element;
+            if ( $script && $script.parentNode ) $script.parentNode.removeChild($script);
+            if ( state === REJECTED ) { // the script might still invoke the callback later
+                window[callbackName] = function() { removeGlobal(callbackName); };
+            }
+            else removeGlobal(callbackName);
+            result._settle(state, value);
+        };
+        var fail = function(type) {
+            var error = new Error("script.jsonp : " + type + " waiting for callback '" + callbackName + "'");
+            error.type = type; settle(REJECTED, error);
+        };
+        window[callbackName] = function(data) { settle(RESOLVED, data); };
+
+        opts.src = url; opts.defer = true; opts.writes = false;
+        opts.force = true; // each request gets its own callback (not a cached library)
+        delete opts.param; delete opts.callbackName;
+        var handle = script(opts);
+        handle.then(function() { // loaded - still waiting for the callback
+            if ( opts.timeout && ! settled ) timer = setTimeout(function() { fail('timeout'); }, opts.timeout);
+        }, function(error) { settle(REJECTED, error); });
+
+        result.id = handle.id;
+        result.abort = function() {
+            if ( settled ) return false;
+            handle.abort(); // the script might have loaded (waiting for the callback)
+            fail('abort'); return true;
+        };
+        return result;
+    };
+    var _jsonpId = 0;
+
+    function removeGlobal(name) {
+        try { delete window[name]; }
+        catch (e) { window[name] = undefined; } // IE < 9
+    }
+
+    /**
+     * Aborts a script (or stylesheet) - a queued one gets removed from the
+     * queue, loading of one in flight is stopped (and the queue moves on).
+     * The handle rejects (with an 'abort' type), no callbacks get invoked.
+     *
+     * NOTE: browsers might still execute a script that's already downloading.
+     *
+     * @param id the script id (or the handle returned from `script()`)
+     * @return true if aborted, false if the script is already done (or unknown)
+     */
+    script.abort = function(id) {
+        if ( id && typeof id === 'object' ) id = id.id;
+        var settings = pending[id];
+        if ( ! settings ) return false;
+        log('debug', 'abort() ' + settings.state, settings);
+        settings.aborted = true;
+        if ( settings.state === 'queued' ) {
+            if ( settings.unwatch ) settings.unwatch();
+            settings.release = settings.unwatch = null;
+            var scripts = queueOf(settings);
+            for ( var i = 0; i < scripts.length; i++ ) {
+                if ( scripts[i] === settings ) { scripts.splice(i, 1); break; }
+            }
+            removePlaceholder(settings);
+            settleFailed(settings);
+        }
+        else if ( settings.cancel ) {
+            var cancel = settings.cancel;
+            settleFailed(settings);
+            cancel(); // yields - the queue moves on
+        }
+        else return settings.aborted = false; // done loading already
+        return true;
+    };
+
+    /**
+     * @return true if a (`writes: false`) script with the given src has been loaded
+     */
+    script.isLoaded = function(src) {
+        var settings = loads[ absoluteSrc(src) ];
+        return !! settings && settings.state === 'loaded';
+    };
+
+    /**
+     * @return an array of (absolute) srcs of all the (`writes: false`) scripts
+     * loaded so far
+     */
+    script.loaded = function() {
+        var loaded = [];
+        for ( var src in loads ) {
+            if ( loads[src].state === 'loaded' ) loaded.push(src);
+        }
+        return loaded;
+    };
+
+    /**
+     * Subscribes a listener to (all) script loading lifecycle events :
+     *
+     * - queued: a script (or stylesheet) got registered for loading
+     * - start: loading started (the element is about to get into the DOM)
+     * - write: the loading script did a `document.write()` (the written string
+     *   is passed as the second argument)
+     * - loaded: the script loaded (before the `loaded` callback)
+     * - complete: the script completed (after the `complete` callback)
+     * - error: the script failed (the Error is passed as the second argument)
+     * - timeout: the script (loading attempt) timed out
+     * - runtimeError: an error got thrown while executing the script (or soon
+     *   after it loaded), the Error is passed as the second argument
+     * - drain: there are no more scripts queued or loading (not counting the
+     *   `lazy` or `trigger`-ed ones that have not been released yet)
+     *
+     * Listeners receive the script settings (except for 'drain').
+     *
+     * @param event the event name
+     * @param fn the listener function
+     * @return script (for chaining)
+     */
+    script.on = function(event, fn) {
+        ( listeners[event] || ( listeners[event] = [] ) ).push(fn);
+        return script;
+    };
+
+    /**
+     * Removes a listener subscribed using `script.on()`.
+     *
+     * @param event the event name
+     * @param fn the listener (all listeners for the event if not specified)
+     * @return script (for chaining)
+     */
+    script.off = function(event, fn) {
+        var fns = listeners[event];
+        for ( var i = fns ? fns.length - 1 : -1; i >= 0; i-- ) {
+            if ( ! fn || fns[i] === fn ) fns.splice(i, 1);
+        }
+        return script;
+    };
+
+    /**
+     * Registers a (named) filter of written content, or when only a name (or a
+     * function) is given the filter gets applied to all the scripts - besides
+     * those set with the `filters` option. Filters receive the DOM fragment of
+     * (all) the content a (defered) script wrote before it gets inserted :
+     * <code>
+     *   script.filter('strip-styles'); // for all scripts
+     *   script.filter('no-iframes', function($fragment, settings) { ... });
+     *   script({ src: '319433.js', defer: true, filters: [ 'no-iframes' ] });
+     * </code>
+     *
+     * @param name the filter name (or a function)
+     * @param fn the filter function (if defining a named filter)
+     * @return script (for chaining)
+     */
+    script.filter = function(name, fn) {
+        if ( fn ) script.filters[name] = fn;
+        else {
+            for ( var i = 0; i < filters.length; i++ ) {
+                if ( filters[i] === name ) return script;
+            }
+            filters.push(name);
+        }
+        return script;
+    };
+
+    // @return all the (matching) elements under the given node in document order
+    function elementsOf($node, tagName) {
+        var elements = [];
+        (function collect($parent) {
+            for ( var $child = $parent.firstChild; $child; $child = $child.nextSibling ) {
+                if ( $child.nodeType !== 1 ) continue;
+                if ( ! tagName || $child.nodeName.toLowerCase() === tagName ) elements.push($child);
+                collect($child);
+            }
+        })($node);
+        return elements;
+    }
+
+    function removeElements(elements) {
+        for ( var i = 0; i < elements.length; i++ ) {
+            if ( elements[i].parentNode ) elements[i].parentNode.removeChild(elements[i]);
+        }
+    }
+
+    // the available named filters (see `script.filter()`) :
+    script.filters = {
+        // removes <style>s and stylesheet <link>s
+        'strip-styles': function($fragment) {
+            var $links = elementsOf($fragment, 'link'), stylesheets = [];
+            for ( var i = 0; i < $links.length; i++ ) {
+                if ( /stylesheet/i.test($links[i].getAttribute('rel')) ) stylesheets.push($links[i]);
+            }
+            removeElements(stylesheets);
+            removeElements( elementsOf($fragment, 'style') );
+        },
+        // marks <img>s and <iframe>s to be loaded lazily (by the browser)
+        'lazy-images': function($fragment) {
+            var $elems = elementsOf($fragment, 'img').concat( elementsOf($fragment, 'iframe') );
+            for ( var i = 0; i < $elems.length; i++ ) {
+                if ( ! $elems[i].getAttribute('loading') ) $elems[i].setAttribute('loading', 'lazy');
+            }
+        }
+    };
+
+    // runs the global and the script's `filters` over the written content :
+    function filterContent($fragment, settings, $script) {
+        var names = settings.filters || [], i;
+        names = filters.concat( isArray(names) ? names : [ names ] );
+        for ( i = 0; i < names.length; i++ ) {
+            var filter = typeof names[i] === 'function' ? names[i] : script.filters[ names[i] ];
+            if ( ! filter ) {
+                log('warn', "filterContent() no filter named '" + names[i] + "'", settings);
+                continue;
+            }
+            try { filter.call($script, $fragment, settings); }
+            catch (e) { // a filter should not break loading
+                log('error', 'filterContent() filter failed', settings, e);
+                later(function() { throw e; });
+            }
+        }
+    }
+
+    function duration(from, to) {
+        return from != null && to != null ? Math.round( ( to - from ) * 10 ) / 10 : null;
+    }
+
+    // the (last) Resource Timing entry for the given (resolved) URL :
+    function resourceTiming(url) {
+        var performance = window.performance;
+        if ( ! url || ! performance || ! performance.getEntriesByName ) return null;
+        var entries = performance.getEntriesByName(url);
+        return entries.length ? entries[ entries.length - 1 ] : null;
+    }
+
+    /**
+     * A load report - timings (in milliseconds) for all the scripts so far.
+     * Each row contains the script's `id`, `src`, `state`, the `status` ('ok' or
+     * 'error' if it threw while executing - see `runtimeError`) and durations :
+     *
+     * - wait: time spent in the queue (queued until appended into the DOM)
+     * - load: appended until loaded (executed)
+     * - flush: loaded until the (document.write) content got inserted
+     * - total: queued until complete (or failed)
+     * - network: the Resource Timing duration (if available)
+     * - size: the transferred bytes from Resource Timing (if available)
+     *
+     * <code>console.table( script.report() );</code>
+     *
+     * Only the latest `script.report.limit` (100 by default, null for no limit)
+     * scripts are kept for the report, older (settled) ones get forgotten.
+     *
+     * @return an array of report rows (in the order scripts were queued)
+     */
+    script.report = function() {
+        var report = [];
+        for ( var i = 0; i < allScripts.length; i++ ) {
+            var settings = allScripts[i], timing = settings.timing;
+            var $elem = settings.handle && settings.handle.element;
+            var entry = resourceTiming( $elem && ( $elem.src || $elem.href ) );
+            report.push({
+                id: settings.id, src: settings.src, state: settings.state,
+                status: settings.status || ( settings.state === 'loaded' ? 'ok' : null ),
+                wait: duration(timing.queued, timing.appended),
+                load: duration(timing.appended, timing.loaded),
+                flush: duration(timing.loaded, timing.flushed),
+                total: duration(timing.queued, timing.complete),
+                network: entry ? duration(entry.startTime, entry.responseEnd) : null,
+                size: entry && entry.transferSize != null ? entry.transferSize : null
+            });
+        }
+        return report;
+    };
+    script.report.limit = 100;
+
+    /**
+     * Logging - set `script.debug` to a level ('error', 'warn', 'info' or
+     * 'debug') to start logging at runtime (false turns logging off), loading
+     * a page with a `?scriptjs-debug` (or `?scriptjs-debug=info`) parameter
+     * works as well. Every log record is an object with a `time`, `level`,
+     * `message` and optionally the script's `id`, `src`, an `event` name (for
+     * lifecycle events see `script.on()`) and `data`.
+     * Records get passed to all `script.log.sinks` (functions), there are a
+     * few sinks available (the console sink is the only one used by default) :
+     * <code>
+     *   var records = [];
+     *   script.log.sinks.push( script.log.buffer(records, 100) );
+     *   script.log.sinks.push( script.log.remote('/collect') );
+     * </code>
+     */
+    var debugParam = /[?&]scriptjs-debug(?:=([^&#]*))?/.exec( window.location.search );
+    script.debug = debugParam ? debugParam[1] || 'debug' : false;
+
+    var errorLogged;
+    function consoleSink(record) {
+        var args = [ '[script] ' + record.level + ': ' + record.message ];
+        if ( record.id ) args.push( record.id + ' (' + record.src + ')' );
+        if ( record.data !== undefined ) args.push( record.data );
+        if ( window.console ) {
+            var fn = console[ record.level ] || console.log;
+            try {
+                fn.apply( console, args );
+            }
+            catch (e) { // IE8 can't console.log.apply :
+                errorLogged || console.log(e); errorLogged = true;
+                console.log( args.join(' ') );
+            }
+        }
+        else if ( window.opera ) {
+            opera.postError( args.join(' ') );
+        }
+    }
+
+    // a JSON friendly copy of the record :
+    function plainRecord(record) {
+        var plain = {}, name, data = record.data;
+        for ( name in record ) plain[name] = record[name];
+        if ( data instanceof Error ) plain.data = { type: data.type, message: data.message };
+        else if ( data != null && typeof data === 'object' ) {
+            try { plain.data = JSON.parse( JSON.stringify(data) ); }
+            catch (e) { plain.data = String(data); } // e.g. cyclic
+        }
+        return plain;
+    }
+
+    script.log = {
+        sinks: [ consoleSink ],
+        /**
+         * A sink that logs to the browser's console.
+         */
+        console: consoleSink,
+        /**
+         * @param records the array to collect records into (optional)
+         * @param limit the maximum number of (latest) records to keep
+         * @return a sink that collects records into an array (the sink's
+         * `records` property)
+         */
+        buffer: function(records, limit) {
+            records = records || [];
+            var sink = function(record) {
+                records.push(record);
+                if ( limit && records.length > limit ) records.shift();
+            };
+            sink.records = records;
+            return sink;
+        },
+        /**
+         * @param url the collector URL records are POST-ed to (as JSON arrays)
+         * @param delay milliseconds to batch records for (default 1000)
+         * @return a sink that sends records to a remote collector
+         */
+        remote: function(url, delay) {
+            var batch = [], timer;
+            var send = function() {
+                var body = JSON.stringify(batch); batch = []; timer = null;
+                if ( navigator.sendBeacon && navigator.sendBeacon(url, body) ) return;
+                var xhr = new XMLHttpRequest();
+                xhr.open('POST', url, true);
+                xhr.setRequestHeader('Content-Type', 'application/json');
+                xhr.send(body);
+            };
+            return function(record) {
+                batch.push( plainRecord(record) );
+                if ( ! timer ) timer = setTimeout(send, delay == null ? 1000 : delay);
+            };
+        }
+    };
+
     var _generateId = 0;
     script._generateId = function() { // default _generateId fn
         return '_script-' + ( _generateId++ );
     };
 
+    /**
+     * The queue watchdog - scripts that hold the queue (the ones that write
+     * and queued stylesheets) get stalled (failing with a 'stalled' error type)
+     * after `timeout` milliseconds (per attempt - a script's own `timeout`,
+     * `retries` and `src` candidates get waited for) or once the queue has been
+     * busy for longer than the `deadline` (the entries still queued then fail
+     * without loading), the queue continues loading the rest of the scripts.
+     * Set any of these to null to turn them off, there's no `deadline` by default
+     * (a long page of embeds on a slow connection would lose the last ones).
+     */
+    script.watchdog = { timeout: 30 * 1000, deadline: null };
+
     script.defaults = { // default script settings
         type: 'text/javascript' /*, timeout: 5 * 1000 */
     };
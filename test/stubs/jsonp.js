@@ -0,0 +1,10 @@
+// a JSONP stub - responds to the callback given as the 'callback' parameter
+(function() {
+    var scripts = document.getElementsByTagName('script'), src;
+    for ( var i = scripts.length - 1; i >= 0; i-- ) {
+        src = scripts[i].src || '';
+        if ( src.indexOf('jsonp.js') !== -1 ) break;
+    }
+    var callback = src.match(/[?&]callback=([^&]+)/);
+    if ( callback ) window[ decodeURIComponent(callback[1]) ]({ jsonp: 'stub' });
+})();
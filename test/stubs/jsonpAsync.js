@@ -0,0 +1,12 @@
+// a JSONP stub - invokes the callback (given as the 'callback' parameter) later
+(function() {
+    var scripts = document.getElementsByTagName('script'), src;
+    for ( var i = scripts.length - 1; i >= 0; i-- ) {
+        src = scripts[i].src || '';
+        if ( src.indexOf('jsonpAsync.js') !== -1 ) break;
+    }
+    var callback = src.match(/[?&]callback=([^&]+)/);
+    if ( callback ) setTimeout(function() {
+        window[ decodeURIComponent(callback[1]) ]({ jsonp: 'async' });
+    }, 50);
+})();
@@ -0,0 +1,2 @@
+import { value } from 'scriptjs-stub';
+window.moduleValue = value;
@@ -0,0 +1 @@
+window.moduleValue = 'nomodule';
@@ -0,0 +1 @@
+window.noWrites = ( window.noWrites || 0 ) + 1;
\ No newline at end of file
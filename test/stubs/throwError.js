@@ -0,0 +1,2 @@
+window.throwErrorLoaded = true;
+throw new Error('throwError');
@@ -0,0 +1,4 @@
+document.write('<div class="chainBefore"></div>');
+document.write('<script type="text/javascript" src="stubs/writeSpan.js"></script>');
+document.write('<script type="text/javascript">document.write("<b class=\\"chainInline\\"><\\/b><script>document.write(\\"<i class=\\\\\\"chainNested\\\\\\"><\\\\/i>\\")<\\/script>");</script>');
+document.write('<div class="chainAfter"></div>');
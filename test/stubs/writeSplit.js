@@ -0,0 +1,4 @@
+document.write('<span class="write', 'Split">');
+document.write('split &am');
+document.write('p; tag</sp');
+document.writeln('an><b', 'r/>');
\ No newline at end of file